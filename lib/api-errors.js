@@ -0,0 +1,123 @@
+/**
+ * HTTP API Error Catalogue
+ *
+ * Stable machine-readable error codes for HTTP API responses and the HTTP
+ * status each one maps to. Clients should branch on `code`; the `error`
+ * text is for humans and may change.
+ *
+ * Error responses have the shape
+ * `{success: false, error, code, request_id, ...details}`.
+ */
+
+'use strict';
+
+const CATALOGUE = {
+    // 400: the request itself is wrong
+    invalid_request: { status: 400, message: 'Invalid request' },
+    invalid_json: { status: 400, message: 'Invalid JSON' },
+    invalid_idempotency_key: { status: 400, message: 'Invalid Idempotency-Key header (1-255 printable ASCII characters)' },
+    invalid_sender: { status: 400, message: 'Invalid from address' },
+    invalid_recipient: { status: 400, message: 'Invalid recipient list' },
+    invalid_raw_message: { status: 400, message: 'Raw message is not a valid RFC 5322 message' },
+    sender_mismatch: { status: 400, message: 'Envelope sender domain does not match the header From domain' },
+    too_many_recipients: { status: 400, message: 'Too many recipients' },
+    too_many_attachments: { status: 400, message: 'Too many attachments' },
+    dkim_key_invalid: { status: 400, message: 'selector and private_key are required' },
+    smime_certificate_invalid: { status: 400, message: 'certificate and private_key must be a valid S/MIME certificate and its key' },
+
+    // 401/403: authentication and authorization
+    unauthorized: { status: 401, message: 'Unauthorized' },
+    signature_required: { status: 401, message: 'Signed request required for this API key' },
+    signature_invalid: { status: 401, message: 'Invalid signature' },
+    signature_expired: { status: 401, message: 'Signature timestamp missing or outside the allowed clock skew' },
+    signature_replayed: { status: 401, message: 'Replayed request' },
+    forbidden: { status: 403, message: 'Forbidden' },
+    scope_denied: { status: 403, message: 'Forbidden: API key lacks the required scope' },
+    sender_not_allowed: { status: 403, message: 'Sender is not allowed for this API key' },
+
+    // 404-413: resource and transport state
+    not_found: { status: 404, message: 'Not found' },
+    request_timeout: { status: 408, message: 'Request timeout' },
+    scheduled_in_flight: { status: 409, message: 'Scheduled message is already being sent' },
+    idempotency_in_progress: { status: 409, message: 'A request with this Idempotency-Key is still in progress' },
+    queue_item_busy: { status: 409, message: 'Queue item is not waiting for a retry in this process' },
+    idempotency_mismatch: { status: 422, message: 'Idempotency-Key was already used with a different request body' },
+    smtputf8_unsupported: { status: 422, message: 'A recipient mail server does not support SMTPUTF8, which UTF-8 addresses need' },
+    smime_certificate_missing: { status: 422, message: 'No S/MIME certificate for the sender or a recipient' },
+    body_too_large: { status: 413, message: 'Request body too large' },
+    message_too_large: { status: 413, message: 'Message too large' },
+    attachment_too_large: { status: 413, message: 'Attachment too large' },
+
+    // 429: throttling
+    rate_limited: { status: 429, message: 'Rate limit exceeded' },
+    sender_rate_limited: { status: 429, message: 'Rate limit exceeded for sender' },
+    quota_exceeded: { status: 429, message: 'Send quota exceeded' },
+
+    // 5xx: our side
+    internal_error: { status: 500, message: 'Internal error' },
+    queue_failed: { status: 500, message: 'Failed to queue email' },
+    dkim_write_failed: { status: 500, message: 'Failed to update DKIM key' },
+    dkim_read_failed: { status: 500, message: 'Failed to read DKIM key' },
+    smime_failed: { status: 500, message: 'Failed to sign or encrypt the message' },
+    smime_write_failed: { status: 500, message: 'Failed to update S/MIME certificate' },
+    smime_read_failed: { status: 500, message: 'Failed to read S/MIME certificate' },
+    store_unavailable: { status: 503, message: 'Backing store unavailable, please retry' }
+};
+
+/**
+ * HTTP status of an error code
+ * @param {string} code - Catalogue code
+ * @returns {number} Status (500 for unknown codes)
+ */
+function status_of(code) {
+    return CATALOGUE[code] ? CATALOGUE[code].status : 500;
+}
+
+/**
+ * Create an Error carrying a catalogue code
+ * @param {string} code - Catalogue code
+ * @param {string} [message] - Human-readable message (defaults to the catalogue text)
+ * @param {Object} [details] - Extra response fields
+ * @returns {Error} Error with `code`, `status` and `details`
+ */
+function create(code, message, details) {
+    const err = new Error(message || (CATALOGUE[code] || CATALOGUE.internal_error).message);
+    err.code = code;
+    err.status = status_of(code);
+    if (details) err.details = details;
+    return err;
+}
+
+/**
+ * Build an error response body
+ * @param {string} code - Catalogue code
+ * @param {string} [message] - Human-readable message (defaults to the catalogue text)
+ * @param {Object} [details] - Extra response fields
+ * @returns {Object} `{success: false, error, code, ...details}`
+ */
+function body(code, message, details) {
+    return {
+        success: false,
+        error: message || (CATALOGUE[code] || CATALOGUE.internal_error).message,
+        code,
+        ...details
+    };
+}
+
+/**
+ * Resolve any thrown error to a catalogue code
+ * @param {Error} err - Error, with or without a catalogue code
+ * @param {string} [fallback] - Code for errors that have none
+ * @returns {string} Catalogue code
+ */
+function code_of(err, fallback = 'internal_error') {
+    return err && CATALOGUE[err.code] ? err.code : fallback;
+}
+
+module.exports = {
+    CATALOGUE,
+    status_of,
+    create,
+    body,
+    code_of
+};
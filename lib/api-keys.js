@@ -0,0 +1,235 @@
+/**
+ * HTTP API Key Registry
+ *
+ * Named API keys for the outbound HTTP API, loaded from http_api_keys.ini.
+ * Each key carries its own scopes, optional sender-domain allowlist,
+ * optional rate limit and optional per-message send limits. X-API-Key lookups compare SHA-256 digests in constant
+ * time; a key's plain secret is only kept when it is also used to verify
+ * HMAC-signed requests.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const domains = require('./domains');
+
+const SCOPES = ['send', 'dkim:read', 'dkim:write', 'smime:read', 'smime:write', 'ops:read', 'ops:write'];
+
+// Name under which the legacy single http_api_key is registered
+const LEGACY_KEY_NAME = 'default';
+
+const KEY_NAME_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+function hash_key(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function parse_list(value, { lowercase = false } = {}) {
+    if (!value) return [];
+    return String(value)
+        .split(/[\s,]+/)
+        .map((entry) => (lowercase ? entry.trim().toLowerCase() : entry.trim()))
+        .filter(Boolean);
+}
+
+// IDN allowlist entries match the ASCII (punycode) domains of normalized senders
+function to_ascii_pattern(entry) {
+    if (entry.startsWith('*.')) return `*.${domains.to_ascii_domain(entry.slice(2)) || entry.slice(2)}`;
+    return domains.to_ascii_domain(entry) || entry;
+}
+
+function parse_positive_int(value) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+// Like parse_positive_int, but 0 is kept: it lifts the limit for this key
+function parse_limit(value) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function is_enabled(value) {
+    return ['1', 'true', 'yes', 'on'].includes(String(value === undefined ? '' : value).trim().toLowerCase());
+}
+
+function is_disabled(value) {
+    if (value === undefined || value === null || value === '') return false;
+    return ['0', 'false', 'no', 'off'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Build one registry entry from an ini section
+ * @param {string} name - Section name, used as the key name
+ * @param {Object} section - Section values (key|key_sha256|signing_secret, scopes, sender_domains, rate_limit_*, max_*)
+ * @returns {Object} Registry entry
+ */
+function parse_key_entry(name, section) {
+    if (!KEY_NAME_RE.test(name)) {
+        throw new Error(`invalid key name "${name}"`);
+    }
+
+    let digest = null;
+    if (section.key_sha256) {
+        digest = String(section.key_sha256).trim().toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(digest)) {
+            throw new Error(`key_sha256 for "${name}" must be 64 hex characters`);
+        }
+    } else if (section.key) {
+        digest = hash_key(section.key);
+    } else if (!section.signing_secret) {
+        throw new Error(`key "${name}" has none of key, key_sha256 or signing_secret`);
+    }
+
+    const scopes = parse_list(section.scopes, { lowercase: true });
+    const unknown = scopes.filter((scope) => scope !== '*' && !scope.endsWith(':*') && !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw new Error(`key "${name}" has unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    const signing_secret = section.signing_secret || section.key || null;
+
+    return {
+        name,
+        // null for signature-only keys, which never match X-API-Key
+        digest: digest ? Buffer.from(digest, 'hex') : null,
+        signing_secret: signing_secret ? String(signing_secret) : null,
+        require_signature: !digest || is_enabled(section.require_signature),
+        scopes,
+        sender_domains: parse_list(section.sender_domains, { lowercase: true }).map(to_ascii_pattern),
+        rate_limit_max_requests: parse_positive_int(section.rate_limit_max_requests),
+        rate_limit_window_ms: parse_positive_int(section.rate_limit_window_ms),
+        // null falls back to the configured send_max_* limit
+        max_recipients: parse_limit(section.max_recipients),
+        max_message_bytes: parse_limit(section.max_message_bytes),
+        max_attachments: parse_limit(section.max_attachments),
+        max_attachment_bytes: parse_limit(section.max_attachment_bytes)
+    };
+}
+
+/**
+ * Build a key registry
+ * @param {Object} sections - Parsed http_api_keys.ini (one section per key; [main] is ignored)
+ * @param {string} legacy_key - cfg.http_api_key, registered as "default" with all scopes
+ *   unless a [default] section narrows it (a disabled or invalid one turns it off)
+ * @param {Function} [logger] - Called with a message for every skipped entry
+ * @returns {Object[]} Registry entries
+ */
+function build_registry(sections, legacy_key, logger) {
+    const entries = [];
+    // Decided from the section names: a skipped [default] must not widen the legacy key to '*'
+    const has_legacy_override = Object.prototype.hasOwnProperty.call(sections || {}, LEGACY_KEY_NAME);
+
+    for (const [name, section] of Object.entries(sections || {})) {
+        if (name === 'main' || !section || typeof section !== 'object') continue;
+        if (is_disabled(section.enabled)) continue;
+
+        // A [default] section without a secret of its own narrows the legacy key
+        const with_secret = name === LEGACY_KEY_NAME && legacy_key
+            && !section.key && !section.key_sha256 && !section.signing_secret
+            ? { ...section, key: legacy_key }
+            : section;
+
+        try {
+            entries.push(parse_key_entry(name, with_secret));
+        } catch (err) {
+            if (logger) logger(`Skipping API key: ${err.message}`);
+        }
+    }
+
+    if (legacy_key && !has_legacy_override) {
+        entries.push({
+            name: LEGACY_KEY_NAME,
+            digest: Buffer.from(hash_key(legacy_key), 'hex'),
+            signing_secret: String(legacy_key),
+            require_signature: false,
+            scopes: ['*'],
+            sender_domains: [],
+            rate_limit_max_requests: null,
+            rate_limit_window_ms: null,
+            max_recipients: null,
+            max_message_bytes: null,
+            max_attachments: null,
+            max_attachment_bytes: null
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Find the registry entry matching a presented key
+ * @param {Object[]} registry - Entries from build_registry()
+ * @param {string} presented - Value of the X-API-Key header
+ * @returns {Object|null} Matching entry
+ */
+function find_key(registry, presented) {
+    if (!presented || !Array.isArray(registry)) return null;
+
+    const digest = Buffer.from(hash_key(presented), 'hex');
+    let match = null;
+
+    // Compare against every entry so timing does not reveal the match position.
+    for (const entry of registry) {
+        if (!entry.digest) continue;
+        if (crypto.timingSafeEqual(digest, entry.digest) && !match) {
+            match = entry;
+        }
+    }
+
+    return match;
+}
+
+/**
+ * Find a registry entry by name (the X-Elektrine-Key-Id of a signed request)
+ * @param {Object[]} registry - Entries from build_registry()
+ * @param {string} name - Key name
+ * @returns {Object|null} Matching entry
+ */
+function find_key_by_name(registry, name) {
+    if (!name || !Array.isArray(registry)) return null;
+    return registry.find((entry) => entry.name === name) || null;
+}
+
+/**
+ * Check whether a key grants a scope (`*` and `prefix:*` wildcards allowed)
+ * @param {Object} entry - Registry entry
+ * @param {string} scope - Required scope
+ * @returns {boolean} True when granted
+ */
+function has_scope(entry, scope) {
+    if (!entry) return false;
+    if (!scope) return true;
+
+    return entry.scopes.some((granted) => {
+        if (granted === '*' || granted === scope) return true;
+        return granted.endsWith(':*') && scope.startsWith(granted.slice(0, -1));
+    });
+}
+
+/**
+ * Check a sender address against the key's sender-domain allowlist
+ * @param {Object} entry - Registry entry
+ * @param {string} address - Sender email address
+ * @returns {boolean} True when the key has no allowlist or the domain is on it
+ */
+function is_sender_allowed(entry, address) {
+    if (!entry || entry.sender_domains.length === 0) return true;
+
+    const domain = domains.to_ascii_domain(String(address || '').split('@').pop());
+    return entry.sender_domains.some((allowed) => {
+        if (allowed.startsWith('*.')) return domain.endsWith(allowed.slice(1));
+        return domain === allowed;
+    });
+}
+
+module.exports = {
+    SCOPES,
+    LEGACY_KEY_NAME,
+    hash_key,
+    build_registry,
+    find_key,
+    find_key_by_name,
+    has_scope,
+    is_sender_allowed
+};
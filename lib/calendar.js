@@ -0,0 +1,285 @@
+/**
+ * Calendar Invitations (iTIP)
+ *
+ * Validates the structured `calendar` field of a send and renders it as an
+ * iCalendar object (RFC 5545) carrying an iTIP method (RFC 5546):
+ * - REQUEST: the organizer invites attendees or updates the event
+ * - REPLY: one attendee answers with their participation status
+ * - CANCEL: the organizer cancels the event
+ *
+ * Times are written in UTC, or as dates for all-day events. The email
+ * builder sends the result as a text/calendar alternative plus an .ics
+ * attachment (RFC 6047).
+ */
+
+'use strict';
+
+const METHODS = ['REQUEST', 'REPLY', 'CANCEL'];
+const ROLES = ['CHAIR', 'REQ-PARTICIPANT', 'OPT-PARTICIPANT', 'NON-PARTICIPANT'];
+const PARTSTATS = ['NEEDS-ACTION', 'ACCEPTED', 'DECLINED', 'TENTATIVE', 'DELEGATED'];
+const STATUSES = ['TENTATIVE', 'CONFIRMED', 'CANCELLED'];
+
+const PRODID = '-//Elektrine//Haraka Mail Relay//EN';
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+// ISO 8601 with an explicit zone, so the event cannot shift with the server's timezone
+const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+const RRULE_RE = /^FREQ=(SECONDLY|MINUTELY|HOURLY|DAILY|WEEKLY|MONTHLY|YEARLY)(;[A-Z]+=[A-Za-z0-9,:+-]+)*$/;
+const UID_RE = /^\S{1,255}$/;
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+$/;
+
+// iCalendar content lines are folded at 75 octets (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+function error(code, field, message) {
+    return { code, field: `calendar.${field}`, message: `calendar.${field} ${message}` };
+}
+
+function parse_time(value) {
+    if (typeof value !== 'string') return null;
+    if (DATE_RE.test(value)) {
+        const parsed = Date.parse(`${value}T00:00:00Z`);
+        return Number.isFinite(parsed) ? { all_day: true, value: parsed } : null;
+    }
+    if (DATE_TIME_RE.test(value)) {
+        const parsed = Date.parse(value);
+        return Number.isFinite(parsed) ? { all_day: false, value: parsed } : null;
+    }
+    return null;
+}
+
+function validate_person(person, field, errors, { partstat_required = false } = {}) {
+    if (!person || typeof person !== 'object' || !EMAIL_RE.test(String(person.email || ''))) {
+        errors.push(error('invalid_format', `${field}.email`, 'must be an email address'));
+        return;
+    }
+    if (person.role !== undefined && !ROLES.includes(person.role)) {
+        errors.push(error('invalid_value', `${field}.role`, `must be one of: ${ROLES.join(', ')}`));
+    }
+    if (person.partstat !== undefined && !PARTSTATS.includes(person.partstat)) {
+        errors.push(error('invalid_value', `${field}.partstat`, `must be one of: ${PARTSTATS.join(', ')}`));
+    }
+    if (partstat_required && person.partstat === undefined) {
+        errors.push(error('required', `${field}.partstat`, 'is required in a REPLY'));
+    }
+}
+
+/**
+ * Check a calendar field against the iTIP rules for its method
+ * @param {Object} calendar - `calendar` field of a send
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.has_sender] - A valid `from` can stand in for the organizer
+ * @returns {Object[]} Errors as `{code, field, message}`; empty when valid
+ */
+function validate(calendar, options = {}) {
+    const errors = [];
+    if (!calendar || typeof calendar !== 'object' || Array.isArray(calendar)) {
+        return [{ code: 'invalid_type', field: 'calendar', message: 'calendar must be of type object' }];
+    }
+
+    const method = calendar.method;
+    if (!METHODS.includes(method)) {
+        errors.push(error('invalid_value', 'method', `must be one of: ${METHODS.join(', ')}`));
+        return errors;
+    }
+
+    if (!UID_RE.test(String(calendar.uid || ''))) {
+        errors.push(error('required', 'uid', 'is required (up to 255 characters, no whitespace)'));
+    }
+    if (calendar.sequence !== undefined && !(Number.isInteger(calendar.sequence) && calendar.sequence >= 0)) {
+        errors.push(error('invalid_type', 'sequence', 'must be a non-negative integer'));
+    }
+    if (calendar.status !== undefined && !STATUSES.includes(calendar.status)) {
+        errors.push(error('invalid_value', 'status', `must be one of: ${STATUSES.join(', ')}`));
+    }
+    if (calendar.rrule !== undefined && !RRULE_RE.test(String(calendar.rrule))) {
+        errors.push(error('invalid_format', 'rrule', 'must be an RRULE value such as FREQ=WEEKLY;COUNT=10'));
+    }
+
+    const start = calendar.start === undefined ? null : parse_time(calendar.start);
+    const end = calendar.end === undefined ? null : parse_time(calendar.end);
+    if (calendar.start !== undefined && !start) {
+        errors.push(error('invalid_format', 'start', 'must be a date (YYYY-MM-DD) or a date-time with a zone offset'));
+    }
+    if (calendar.end !== undefined && !end) {
+        errors.push(error('invalid_format', 'end', 'must be a date (YYYY-MM-DD) or a date-time with a zone offset'));
+    }
+    if (method === 'REQUEST' && calendar.start === undefined) {
+        errors.push(error('required', 'start', 'is required in a REQUEST'));
+    }
+    if (method === 'REQUEST' && (typeof calendar.summary !== 'string' || calendar.summary.trim() === '')) {
+        errors.push(error('required', 'summary', 'is required in a REQUEST'));
+    }
+    if (start && end) {
+        if (start.all_day !== end.all_day) {
+            errors.push(error('invalid_value', 'end', 'must be a date when start is a date, and a date-time otherwise'));
+        } else if (end.value <= start.value) {
+            errors.push(error('invalid_value', 'end', 'must be after calendar.start'));
+        }
+    } else if (end && !start) {
+        errors.push(error('required', 'start', 'is required when calendar.end is set'));
+    }
+
+    // The sender organizes REQUEST and CANCEL unless an organizer is given
+    if (calendar.organizer !== undefined) {
+        validate_person(calendar.organizer, 'organizer', errors);
+    } else if (method === 'REPLY' || !options.has_sender) {
+        errors.push(error('required', 'organizer', `is required in a ${method}`));
+    }
+
+    const attendees = calendar.attendees === undefined ? [] : calendar.attendees;
+    if (!Array.isArray(attendees)) {
+        errors.push(error('invalid_type', 'attendees', 'must be of type array'));
+    } else {
+        attendees.forEach((attendee, index) => validate_person(attendee, `attendees[${index}]`, errors, {
+            partstat_required: method === 'REPLY'
+        }));
+        if (method === 'REQUEST' && attendees.length === 0) {
+            errors.push(error('required', 'attendees', 'needs at least one attendee in a REQUEST'));
+        }
+        if (method === 'REPLY' && attendees.length !== 1) {
+            errors.push(error('invalid_value', 'attendees', 'must hold exactly the replying attendee in a REPLY'));
+        }
+    }
+
+    return errors;
+}
+
+function escape_text(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Parameter values cannot contain DQUOTE; quote those with : ; or ,
+function param_value(value) {
+    const clean = String(value).replace(/["\r\n]/g, '').trim();
+    return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+function format_utc(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function format_time(name, value) {
+    const parsed = parse_time(value);
+    return parsed.all_day
+        ? `${name};VALUE=DATE:${value.replace(/-/g, '')}`
+        : `${name}:${format_utc(parsed.value)}`;
+}
+
+function format_person(name, person, defaults = {}) {
+    const params = [];
+    if (person.name) params.push(`CN=${param_value(person.name)}`);
+    for (const [param, key] of [['ROLE', 'role'], ['PARTSTAT', 'partstat']]) {
+        const value = person[key] !== undefined ? person[key] : defaults[key];
+        if (value) params.push(`${param}=${value}`);
+    }
+    const rsvp = person.rsvp !== undefined ? person.rsvp : defaults.rsvp;
+    if (rsvp !== undefined) params.push(`RSVP=${rsvp ? 'TRUE' : 'FALSE'}`);
+
+    return `${name}${params.map((param) => `;${param}`).join('')}:mailto:${person.email}`;
+}
+
+function fold_line(line) {
+    const folded = [];
+    let current = '';
+    let current_octets = 0;
+
+    for (const char of line) {
+        const octets = Buffer.byteLength(char, 'utf8');
+        // Continuation lines start with a space, which counts towards their 75 octets
+        const limit = folded.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (current_octets + octets > limit) {
+            folded.push(current);
+            current = '';
+            current_octets = 0;
+        }
+        current += char;
+        current_octets += octets;
+    }
+    folded.push(current);
+
+    return folded.join('\r\n ');
+}
+
+/**
+ * Render a validated calendar field as an iCalendar object
+ * @param {Object} calendar - `calendar` field of a send (see validate())
+ * @param {Object} [options] - Options
+ * @param {Object} [options.organizer] - `{name, email}` used when calendar.organizer is absent
+ * @param {number} [options.now] - DTSTAMP, in milliseconds (default: now)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function build_ics(calendar, options = {}) {
+    const method = calendar.method;
+    const organizer = calendar.organizer || options.organizer;
+    const status = calendar.status || (method === 'CANCEL' ? 'CANCELLED' : undefined);
+    const attendee_defaults = method === 'REQUEST'
+        ? { role: 'REQ-PARTICIPANT', partstat: 'NEEDS-ACTION', rsvp: true }
+        : {};
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        `PRODID:${PRODID}`,
+        'VERSION:2.0',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${calendar.uid}`,
+        `DTSTAMP:${format_utc(options.now || Date.now())}`,
+        `SEQUENCE:${calendar.sequence || 0}`
+    ];
+
+    if (calendar.start !== undefined) lines.push(format_time('DTSTART', calendar.start));
+    if (calendar.end !== undefined) lines.push(format_time('DTEND', calendar.end));
+    if (calendar.rrule) lines.push(`RRULE:${calendar.rrule}`);
+    for (const [property, key] of [['SUMMARY', 'summary'], ['DESCRIPTION', 'description'], ['LOCATION', 'location']]) {
+        if (calendar[key] !== undefined && calendar[key] !== '') lines.push(`${property}:${escape_text(calendar[key])}`);
+    }
+    if (calendar.url) lines.push(`URL:${String(calendar.url).replace(/[\r\n]/g, '')}`);
+    if (status) lines.push(`STATUS:${status}`);
+    if (organizer) lines.push(format_person('ORGANIZER', organizer));
+    for (const attendee of calendar.attendees || []) {
+        lines.push(format_person('ATTENDEE', attendee, attendee_defaults));
+    }
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+    return `${lines.map(fold_line).join('\r\n')}\r\n`;
+}
+
+/**
+ * Plain text summary of an event, for messages sent without a text body
+ * @param {Object} calendar - `calendar` field of a send
+ * @returns {string} Text body
+ */
+function describe(calendar) {
+    const heading = {
+        REQUEST: 'Invitation',
+        REPLY: 'Reply',
+        CANCEL: 'Canceled'
+    }[calendar.method];
+    const lines = [`${heading}: ${calendar.summary || calendar.uid}`];
+
+    if (calendar.start !== undefined) {
+        lines.push(`When: ${calendar.start}${calendar.end !== undefined ? ` - ${calendar.end}` : ''}`);
+    }
+    if (calendar.location) lines.push(`Where: ${calendar.location}`);
+    if (calendar.method === 'REPLY' && calendar.attendees && calendar.attendees[0]) {
+        lines.push(`${calendar.attendees[0].name || calendar.attendees[0].email}: ${calendar.attendees[0].partstat}`);
+    }
+    if (calendar.description) lines.push('', calendar.description);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    METHODS,
+    ROLES,
+    PARTSTATS,
+    STATUSES,
+    validate,
+    build_ics,
+    describe
+};
@@ -16,6 +16,8 @@ const DEFAULTS = {
     webhook_url: 'https://app.example.com/api/haraka/inbound',
     verify_url: 'https://app.example.com/api/haraka/verify-recipient',
     domains_url: 'https://app.example.com/api/haraka/domains',
+    // Outbound delivery events; empty disables publishing
+    events_url: '',
 
     // Directional API authentication
     // phoenix_api_key: used when Haraka calls Phoenix endpoints
@@ -28,10 +30,28 @@ const DEFAULTS = {
     http_host: '0.0.0.0',
     cors_origin: '',
     dkim_storage_dir: '',
+    batch_max_items: 1000,
+    upload_spool_dir: '',      // multipart/form-data file parts; '' = <tmpdir>/elektrine-uploads
+    signature_max_skew_sec: 300,
+    signature_replay_key_prefix: 'elektrine:signature',
+    sender_policy: 'enforce',  // enforce, monitor or off
 
     // HTTP endpoint access controls
     ops_allowed_cidrs: [],
+    health_check_timeout_ms: 2000,   // per dependency check on /status
+    health_queue_warn_items: 1000,   // outbound queue size that makes /status degraded (0 = off)
     metrics_allowed_cidrs: [],
+    metrics_port: 0,                 // standalone /metrics for roles without the HTTP API (0 = off)
+    metrics_host: '127.0.0.1',
+    worker_metrics_port: 9464,       // worker /metrics (0 = off)
+    worker_metrics_host: '127.0.0.1',
+
+    // Trace export (OTLP/JSON): none, otlp (POST to tracing_endpoint) or file
+    tracing_exporter: 'none',
+    tracing_endpoint: 'http://127.0.0.1:4318',
+    tracing_file: '',
+    tracing_sample_ratio: 1,
+    tracing_service_name: '',   // '' = elektrine-haraka or elektrine-worker
     trusted_proxy_cidrs: [
         '127.0.0.1/32',
         '::1/128',
@@ -44,14 +64,25 @@ const DEFAULTS = {
     // Timeouts (milliseconds)
     webhook_timeout: 30000,
     verify_timeout: 5000,
+    events_timeout: 10000,
 
     // Webhook retry controls
     webhook_max_retries: 5,
     webhook_retry_base_delay_ms: 1000,
 
+    // Delivery event publishing (falls back to phoenix_api_key when no secret is set)
+    events_signing_secret: '',
+    events_max_retries: 5,
+    events_retry_base_delay_ms: 2000,
+    events_queue_name: 'elektrine:outbound:events',
+    events_poll_interval_ms: 5000,
+
     // Rate limiting
     rate_limit_window_ms: 60000,  // 1 minute
     rate_limit_max_requests: 50,  // 50 requests per window
+    rate_limit_backend: 'redis',  // redis (shared by replicas) or memory
+    rate_limit_keys: ['ip'],      // any of ip, api_key, sender
+    rate_limit_key_prefix: 'elektrine:ratelimit',
 
     // Local domains (protected from spoofing, receive inbound mail)
     local_domains: ['example.com'],
@@ -61,10 +92,48 @@ const DEFAULTS = {
 
     // Async queue settings
     redis_url: 'redis://redis:6379',
+    redis_timeout_ms: 2000,            // connection wait and non-blocking commands
     queue_name: 'elektrine:inbound',
     queue_dlq_name: 'elektrine:inbound:dlq',
     queue_pop_timeout_sec: 5,
     queue_max_raw_bytes: 25 * 1024 * 1024,
+    queue_sample_interval_ms: 15000,   // queue depth gauges (0 = sample only on /ops/queues)
+
+    // Outbound delivery status tracking
+    delivery_status_key_prefix: 'elektrine:outbound:status',
+    delivery_status_ttl_sec: 7 * 24 * 60 * 60,
+
+    // Idempotency-Key replay window for /api/v1/send
+    idempotency_key_prefix: 'elektrine:idempotency',
+    idempotency_ttl_sec: 24 * 60 * 60,
+
+    // Scheduled (send_at) delivery for /api/v1/send
+    scheduled_queue_name: 'elektrine:outbound:scheduled',
+    scheduled_poll_interval_ms: 5000,
+    scheduled_max_delay_sec: 30 * 24 * 60 * 60,
+    scheduled_max_attempts: 5,
+    scheduled_retry_base_delay_ms: 60000,
+
+    // Per-message send limits (0 = unlimited; API keys may override)
+    send_max_recipients: 0,
+    send_max_message_bytes: 0,
+    send_max_attachments: 0,
+    send_max_attachment_bytes: 0,
+
+    // SMTPUTF8 probe of recipient MX hosts for UTF-8 local parts
+    smtputf8_probe_timeout_ms: 10000,
+    smtputf8_cache_ttl_sec: 60 * 60,
+
+    // S/MIME signing and encryption (certificates live in dkim_storage_dir)
+    smime_openssl_path: 'openssl',
+    smime_timeout_ms: 30000,
+
+    // Outbound send quotas per recipient (0 = unlimited)
+    quota_sender_hourly: 0,
+    quota_sender_daily: 0,
+    quota_domain_hourly: 0,
+    quota_domain_daily: 0,
+    quota_key_prefix: 'elektrine:quota',
 
     // Feature flags
     webhook_enabled: true,
@@ -78,6 +147,11 @@ function to_int(value, fallback) {
     return Number.isFinite(parsed) ? parsed : fallback;
 }
 
+function to_ratio(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? Math.min(1, Math.max(0, parsed)) : fallback;
+}
+
 function to_bool(value, fallback) {
     if (value === undefined || value === null) return fallback;
     const normalized = String(value).trim().toLowerCase();
@@ -111,6 +185,8 @@ function apply_env_overrides(config) {
     if (process.env.PHOENIX_WEBHOOK_URL) config.webhook_url = process.env.PHOENIX_WEBHOOK_URL;
     if (process.env.PHOENIX_VERIFY_URL) config.verify_url = process.env.PHOENIX_VERIFY_URL;
     if (process.env.PHOENIX_DOMAINS_URL) config.domains_url = process.env.PHOENIX_DOMAINS_URL;
+    if (process.env.PHOENIX_EVENTS_URL) config.events_url = process.env.PHOENIX_EVENTS_URL;
+    if (process.env.PHOENIX_EVENTS_SECRET) config.events_signing_secret = process.env.PHOENIX_EVENTS_SECRET;
 
     if (process.env.PHOENIX_API_KEY) config.phoenix_api_key = process.env.PHOENIX_API_KEY;
     if (process.env.HARAKA_HTTP_API_KEY) config.http_api_key = process.env.HARAKA_HTTP_API_KEY;
@@ -127,18 +203,56 @@ function apply_env_overrides(config) {
     if (process.env.HARAKA_HTTP_HOST) config.http_host = process.env.HARAKA_HTTP_HOST;
     if (process.env.HARAKA_CORS_ORIGIN !== undefined) config.cors_origin = process.env.HARAKA_CORS_ORIGIN;
     if (process.env.HARAKA_DKIM_DIR !== undefined) config.dkim_storage_dir = process.env.HARAKA_DKIM_DIR;
+    if (process.env.HARAKA_UPLOAD_SPOOL_DIR !== undefined) config.upload_spool_dir = process.env.HARAKA_UPLOAD_SPOOL_DIR;
+    if (process.env.HARAKA_BATCH_MAX_ITEMS) {
+        config.batch_max_items = to_int(process.env.HARAKA_BATCH_MAX_ITEMS, DEFAULTS.batch_max_items);
+    }
+    if (process.env.HARAKA_RATE_LIMIT_BACKEND) {
+        config.rate_limit_backend = process.env.HARAKA_RATE_LIMIT_BACKEND.trim().toLowerCase();
+    }
+    if (process.env.HARAKA_RATE_LIMIT_KEYS) {
+        config.rate_limit_keys = parse_string_list(process.env.HARAKA_RATE_LIMIT_KEYS, { lowercase: true }) || DEFAULTS.rate_limit_keys;
+    }
+    if (process.env.HARAKA_SENDER_POLICY) config.sender_policy = process.env.HARAKA_SENDER_POLICY.trim().toLowerCase();
+    if (process.env.HARAKA_SIGNATURE_MAX_SKEW_SEC) {
+        config.signature_max_skew_sec = to_int(process.env.HARAKA_SIGNATURE_MAX_SKEW_SEC, DEFAULTS.signature_max_skew_sec);
+    }
     if (process.env.LOCAL_DOMAINS) config.local_domains = parse_domain_list(process.env.LOCAL_DOMAINS) || DEFAULTS.local_domains;
     if (process.env.OPS_ALLOWED_CIDRS) {
         config.ops_allowed_cidrs = parse_cidr_list(process.env.OPS_ALLOWED_CIDRS) || DEFAULTS.ops_allowed_cidrs;
     }
+    if (process.env.HARAKA_HEALTH_TIMEOUT_MS) {
+        config.health_check_timeout_ms = to_int(process.env.HARAKA_HEALTH_TIMEOUT_MS, DEFAULTS.health_check_timeout_ms);
+    }
+    if (process.env.HARAKA_HEALTH_QUEUE_WARN_ITEMS) {
+        config.health_queue_warn_items = to_int(process.env.HARAKA_HEALTH_QUEUE_WARN_ITEMS, DEFAULTS.health_queue_warn_items);
+    }
     if (process.env.METRICS_ALLOWED_CIDRS) {
         config.metrics_allowed_cidrs = parse_cidr_list(process.env.METRICS_ALLOWED_CIDRS) || DEFAULTS.metrics_allowed_cidrs;
     }
+    if (process.env.HARAKA_METRICS_PORT) config.metrics_port = to_int(process.env.HARAKA_METRICS_PORT, DEFAULTS.metrics_port);
+    if (process.env.HARAKA_METRICS_HOST) config.metrics_host = process.env.HARAKA_METRICS_HOST;
+    if (process.env.ELEKTRINE_WORKER_METRICS_PORT) {
+        config.worker_metrics_port = to_int(process.env.ELEKTRINE_WORKER_METRICS_PORT, DEFAULTS.worker_metrics_port);
+    }
+    if (process.env.ELEKTRINE_WORKER_METRICS_HOST) config.worker_metrics_host = process.env.ELEKTRINE_WORKER_METRICS_HOST;
+    if (process.env.ELEKTRINE_TRACING_EXPORTER) {
+        config.tracing_exporter = process.env.ELEKTRINE_TRACING_EXPORTER.trim().toLowerCase();
+    }
+    if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT) config.tracing_endpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+    if (process.env.ELEKTRINE_TRACING_FILE !== undefined) config.tracing_file = process.env.ELEKTRINE_TRACING_FILE;
+    if (process.env.ELEKTRINE_TRACING_SAMPLE_RATIO) {
+        config.tracing_sample_ratio = to_ratio(process.env.ELEKTRINE_TRACING_SAMPLE_RATIO, DEFAULTS.tracing_sample_ratio);
+    }
+    if (process.env.OTEL_SERVICE_NAME) config.tracing_service_name = process.env.OTEL_SERVICE_NAME;
     if (process.env.HARAKA_TRUSTED_PROXY_CIDRS) {
         config.trusted_proxy_cidrs = parse_cidr_list(process.env.HARAKA_TRUSTED_PROXY_CIDRS) || DEFAULTS.trusted_proxy_cidrs;
     }
 
     if (process.env.REDIS_URL) config.redis_url = process.env.REDIS_URL;
+    if (process.env.ELEKTRINE_REDIS_TIMEOUT_MS) {
+        config.redis_timeout_ms = to_int(process.env.ELEKTRINE_REDIS_TIMEOUT_MS, DEFAULTS.redis_timeout_ms);
+    }
     if (process.env.ELEKTRINE_QUEUE_NAME) config.queue_name = process.env.ELEKTRINE_QUEUE_NAME;
     if (process.env.ELEKTRINE_DLQ_NAME) config.queue_dlq_name = process.env.ELEKTRINE_DLQ_NAME;
     if (process.env.ELEKTRINE_QUEUE_POP_TIMEOUT) {
@@ -147,6 +261,53 @@ function apply_env_overrides(config) {
     if (process.env.ELEKTRINE_QUEUE_MAX_RAW_BYTES) {
         config.queue_max_raw_bytes = to_int(process.env.ELEKTRINE_QUEUE_MAX_RAW_BYTES, DEFAULTS.queue_max_raw_bytes);
     }
+    if (process.env.ELEKTRINE_QUEUE_SAMPLE_MS) {
+        config.queue_sample_interval_ms = to_int(process.env.ELEKTRINE_QUEUE_SAMPLE_MS, DEFAULTS.queue_sample_interval_ms);
+    }
+    if (process.env.ELEKTRINE_STATUS_TTL_SEC) {
+        config.delivery_status_ttl_sec = to_int(process.env.ELEKTRINE_STATUS_TTL_SEC, DEFAULTS.delivery_status_ttl_sec);
+    }
+    if (process.env.ELEKTRINE_IDEMPOTENCY_TTL_SEC) {
+        config.idempotency_ttl_sec = to_int(process.env.ELEKTRINE_IDEMPOTENCY_TTL_SEC, DEFAULTS.idempotency_ttl_sec);
+    }
+    if (process.env.HARAKA_SEND_MAX_RECIPIENTS) {
+        config.send_max_recipients = to_int(process.env.HARAKA_SEND_MAX_RECIPIENTS, DEFAULTS.send_max_recipients);
+    }
+    if (process.env.HARAKA_SEND_MAX_MESSAGE_BYTES) {
+        config.send_max_message_bytes = to_int(process.env.HARAKA_SEND_MAX_MESSAGE_BYTES, DEFAULTS.send_max_message_bytes);
+    }
+    if (process.env.HARAKA_SEND_MAX_ATTACHMENTS) {
+        config.send_max_attachments = to_int(process.env.HARAKA_SEND_MAX_ATTACHMENTS, DEFAULTS.send_max_attachments);
+    }
+    if (process.env.HARAKA_SEND_MAX_ATTACHMENT_BYTES) {
+        config.send_max_attachment_bytes = to_int(process.env.HARAKA_SEND_MAX_ATTACHMENT_BYTES, DEFAULTS.send_max_attachment_bytes);
+    }
+    if (process.env.HARAKA_SMTPUTF8_PROBE_TIMEOUT_MS) {
+        config.smtputf8_probe_timeout_ms = to_int(process.env.HARAKA_SMTPUTF8_PROBE_TIMEOUT_MS, DEFAULTS.smtputf8_probe_timeout_ms);
+    }
+    if (process.env.HARAKA_SMTPUTF8_CACHE_TTL_SEC) {
+        config.smtputf8_cache_ttl_sec = to_int(process.env.HARAKA_SMTPUTF8_CACHE_TTL_SEC, DEFAULTS.smtputf8_cache_ttl_sec);
+    }
+    if (process.env.HARAKA_SMIME_OPENSSL) config.smime_openssl_path = process.env.HARAKA_SMIME_OPENSSL;
+    if (process.env.HARAKA_SMIME_TIMEOUT_MS) {
+        config.smime_timeout_ms = to_int(process.env.HARAKA_SMIME_TIMEOUT_MS, DEFAULTS.smime_timeout_ms);
+    }
+    if (process.env.ELEKTRINE_QUOTA_SENDER_HOURLY) {
+        config.quota_sender_hourly = to_int(process.env.ELEKTRINE_QUOTA_SENDER_HOURLY, DEFAULTS.quota_sender_hourly);
+    }
+    if (process.env.ELEKTRINE_QUOTA_SENDER_DAILY) {
+        config.quota_sender_daily = to_int(process.env.ELEKTRINE_QUOTA_SENDER_DAILY, DEFAULTS.quota_sender_daily);
+    }
+    if (process.env.ELEKTRINE_QUOTA_DOMAIN_HOURLY) {
+        config.quota_domain_hourly = to_int(process.env.ELEKTRINE_QUOTA_DOMAIN_HOURLY, DEFAULTS.quota_domain_hourly);
+    }
+    if (process.env.ELEKTRINE_QUOTA_DOMAIN_DAILY) {
+        config.quota_domain_daily = to_int(process.env.ELEKTRINE_QUOTA_DOMAIN_DAILY, DEFAULTS.quota_domain_daily);
+    }
+    if (process.env.ELEKTRINE_SCHEDULED_QUEUE_NAME) config.scheduled_queue_name = process.env.ELEKTRINE_SCHEDULED_QUEUE_NAME;
+    if (process.env.ELEKTRINE_SCHEDULED_POLL_MS) {
+        config.scheduled_poll_interval_ms = to_int(process.env.ELEKTRINE_SCHEDULED_POLL_MS, DEFAULTS.scheduled_poll_interval_ms);
+    }
 
     if (process.env.WEBHOOK_MAX_RETRIES) {
         config.webhook_max_retries = to_int(process.env.WEBHOOK_MAX_RETRIES, DEFAULTS.webhook_max_retries);
@@ -154,6 +315,12 @@ function apply_env_overrides(config) {
     if (process.env.WEBHOOK_RETRY_BASE_MS) {
         config.webhook_retry_base_delay_ms = to_int(process.env.WEBHOOK_RETRY_BASE_MS, DEFAULTS.webhook_retry_base_delay_ms);
     }
+    if (process.env.EVENTS_MAX_RETRIES) {
+        config.events_max_retries = to_int(process.env.EVENTS_MAX_RETRIES, DEFAULTS.events_max_retries);
+    }
+    if (process.env.EVENTS_RETRY_BASE_MS) {
+        config.events_retry_base_delay_ms = to_int(process.env.EVENTS_RETRY_BASE_MS, DEFAULTS.events_retry_base_delay_ms);
+    }
     if (process.env.DOMAIN_CACHE_TTL_MS) {
         config.domain_cache_ttl_ms = to_int(process.env.DOMAIN_CACHE_TTL_MS, DEFAULTS.domain_cache_ttl_ms);
     }
@@ -187,6 +354,7 @@ function load(haraka_config = null) {
         if (main.url) config.webhook_url = main.url;
         if (main.verify_url) config.verify_url = main.verify_url;
         if (main.domains_url) config.domains_url = main.domains_url;
+        if (main.events_url !== undefined) config.events_url = main.events_url;
 
         if (main.phoenix_api_key) config.phoenix_api_key = main.phoenix_api_key;
         if (main.http_api_key) config.http_api_key = main.http_api_key;
@@ -219,6 +387,13 @@ function load(haraka_config = null) {
         if (http_api.host) config.http_host = http_api.host;
         if (http_api.cors_origin !== undefined) config.cors_origin = http_api.cors_origin;
         if (http_api.dkim_storage_dir !== undefined) config.dkim_storage_dir = http_api.dkim_storage_dir;
+        if (http_api.batch_max_items) config.batch_max_items = to_int(http_api.batch_max_items, config.batch_max_items);
+        if (http_api.upload_spool_dir !== undefined) config.upload_spool_dir = http_api.upload_spool_dir;
+        if (http_api.sender_policy) config.sender_policy = String(http_api.sender_policy).trim().toLowerCase();
+        if (http_api.signature_max_skew_sec) {
+            config.signature_max_skew_sec = to_int(http_api.signature_max_skew_sec, config.signature_max_skew_sec);
+        }
+        if (http_api.signature_replay_key_prefix) config.signature_replay_key_prefix = http_api.signature_replay_key_prefix;
         if (http_api.ops_allowed_cidrs) {
             const parsed_ops_cidrs = parse_cidr_list(http_api.ops_allowed_cidrs);
             if (parsed_ops_cidrs && parsed_ops_cidrs.length > 0) {
@@ -246,11 +421,37 @@ function load(haraka_config = null) {
         }
     }
 
-    if (haraka_config && haraka_config.metrics && haraka_config.metrics.allowed_cidrs) {
-        const parsed_metrics_cidrs = parse_cidr_list(haraka_config.metrics.allowed_cidrs);
-        if (parsed_metrics_cidrs && parsed_metrics_cidrs.length > 0) {
-            config.metrics_allowed_cidrs = parsed_metrics_cidrs;
+    if (haraka_config && haraka_config.ops) {
+        const ops = haraka_config.ops;
+        if (ops.health_timeout_ms) {
+            config.health_check_timeout_ms = to_int(ops.health_timeout_ms, config.health_check_timeout_ms);
+        }
+        if (ops.queue_warn_items !== undefined) {
+            config.health_queue_warn_items = to_int(ops.queue_warn_items, config.health_queue_warn_items);
+        }
+    }
+
+    if (haraka_config && haraka_config.metrics) {
+        const metrics = haraka_config.metrics;
+        if (metrics.allowed_cidrs) {
+            const parsed_metrics_cidrs = parse_cidr_list(metrics.allowed_cidrs);
+            if (parsed_metrics_cidrs && parsed_metrics_cidrs.length > 0) {
+                config.metrics_allowed_cidrs = parsed_metrics_cidrs;
+            }
+        }
+        if (metrics.port !== undefined && metrics.port !== '') config.metrics_port = to_int(metrics.port, config.metrics_port);
+        if (metrics.host) config.metrics_host = metrics.host;
+    }
+
+    if (haraka_config && haraka_config.tracing) {
+        const tracing = haraka_config.tracing;
+        if (tracing.exporter) config.tracing_exporter = String(tracing.exporter).trim().toLowerCase();
+        if (tracing.endpoint) config.tracing_endpoint = tracing.endpoint;
+        if (tracing.file !== undefined) config.tracing_file = tracing.file;
+        if (tracing.sample_ratio !== undefined && tracing.sample_ratio !== '') {
+            config.tracing_sample_ratio = to_ratio(tracing.sample_ratio, config.tracing_sample_ratio);
         }
+        if (tracing.service_name) config.tracing_service_name = tracing.service_name;
     }
 
     if (haraka_config && haraka_config.rate_limit) {
@@ -261,6 +462,11 @@ function load(haraka_config = null) {
         if (rate_limit.max_requests) {
             config.rate_limit_max_requests = to_int(rate_limit.max_requests, config.rate_limit_max_requests);
         }
+        if (rate_limit.backend) config.rate_limit_backend = String(rate_limit.backend).trim().toLowerCase();
+        if (rate_limit.keys) {
+            config.rate_limit_keys = parse_string_list(rate_limit.keys, { lowercase: true }) || config.rate_limit_keys;
+        }
+        if (rate_limit.key_prefix) config.rate_limit_key_prefix = rate_limit.key_prefix;
     }
 
     if (haraka_config && haraka_config.domains) {
@@ -279,6 +485,9 @@ function load(haraka_config = null) {
     if (haraka_config && haraka_config.queue) {
         const queue = haraka_config.queue;
         if (queue.redis_url) config.redis_url = queue.redis_url;
+        if (queue.redis_timeout_ms) {
+            config.redis_timeout_ms = to_int(queue.redis_timeout_ms, config.redis_timeout_ms);
+        }
         if (queue.name) config.queue_name = queue.name;
         if (queue.dlq_name) config.queue_dlq_name = queue.dlq_name;
         if (queue.pop_timeout_sec) {
@@ -287,6 +496,99 @@ function load(haraka_config = null) {
         if (queue.max_raw_bytes) {
             config.queue_max_raw_bytes = to_int(queue.max_raw_bytes, config.queue_max_raw_bytes);
         }
+        if (queue.sample_interval_ms !== undefined && queue.sample_interval_ms !== '') {
+            config.queue_sample_interval_ms = to_int(queue.sample_interval_ms, config.queue_sample_interval_ms);
+        }
+    }
+
+    if (haraka_config && haraka_config.delivery_status) {
+        const delivery_status = haraka_config.delivery_status;
+        if (delivery_status.key_prefix) config.delivery_status_key_prefix = delivery_status.key_prefix;
+        if (delivery_status.ttl_sec) {
+            config.delivery_status_ttl_sec = to_int(delivery_status.ttl_sec, config.delivery_status_ttl_sec);
+        }
+    }
+
+    if (haraka_config && haraka_config.idempotency) {
+        const idempotency = haraka_config.idempotency;
+        if (idempotency.key_prefix) config.idempotency_key_prefix = idempotency.key_prefix;
+        if (idempotency.ttl_sec) {
+            config.idempotency_ttl_sec = to_int(idempotency.ttl_sec, config.idempotency_ttl_sec);
+        }
+    }
+
+    if (haraka_config && haraka_config.limits) {
+        const limits = haraka_config.limits;
+        if (limits.max_recipients !== undefined) {
+            config.send_max_recipients = to_int(limits.max_recipients, config.send_max_recipients);
+        }
+        if (limits.max_message_bytes !== undefined) {
+            config.send_max_message_bytes = to_int(limits.max_message_bytes, config.send_max_message_bytes);
+        }
+        if (limits.max_attachments !== undefined) {
+            config.send_max_attachments = to_int(limits.max_attachments, config.send_max_attachments);
+        }
+        if (limits.max_attachment_bytes !== undefined) {
+            config.send_max_attachment_bytes = to_int(limits.max_attachment_bytes, config.send_max_attachment_bytes);
+        }
+    }
+
+    if (haraka_config && haraka_config.smtputf8) {
+        const smtputf8 = haraka_config.smtputf8;
+        if (smtputf8.probe_timeout_ms) {
+            config.smtputf8_probe_timeout_ms = to_int(smtputf8.probe_timeout_ms, config.smtputf8_probe_timeout_ms);
+        }
+        if (smtputf8.cache_ttl_sec !== undefined) {
+            config.smtputf8_cache_ttl_sec = to_int(smtputf8.cache_ttl_sec, config.smtputf8_cache_ttl_sec);
+        }
+    }
+
+    if (haraka_config && haraka_config.smime) {
+        const smime = haraka_config.smime;
+        if (smime.openssl) config.smime_openssl_path = smime.openssl;
+        if (smime.timeout_ms) config.smime_timeout_ms = to_int(smime.timeout_ms, config.smime_timeout_ms);
+    }
+
+    if (haraka_config && haraka_config.quota) {
+        const quota = haraka_config.quota;
+        if (quota.sender_hourly) config.quota_sender_hourly = to_int(quota.sender_hourly, config.quota_sender_hourly);
+        if (quota.sender_daily) config.quota_sender_daily = to_int(quota.sender_daily, config.quota_sender_daily);
+        if (quota.domain_hourly) config.quota_domain_hourly = to_int(quota.domain_hourly, config.quota_domain_hourly);
+        if (quota.domain_daily) config.quota_domain_daily = to_int(quota.domain_daily, config.quota_domain_daily);
+        if (quota.key_prefix) config.quota_key_prefix = quota.key_prefix;
+    }
+
+    if (haraka_config && haraka_config.scheduled) {
+        const scheduled = haraka_config.scheduled;
+        if (scheduled.queue_name) config.scheduled_queue_name = scheduled.queue_name;
+        if (scheduled.poll_interval_ms) {
+            config.scheduled_poll_interval_ms = to_int(scheduled.poll_interval_ms, config.scheduled_poll_interval_ms);
+        }
+        if (scheduled.max_delay_sec) {
+            config.scheduled_max_delay_sec = to_int(scheduled.max_delay_sec, config.scheduled_max_delay_sec);
+        }
+        if (scheduled.max_attempts) {
+            config.scheduled_max_attempts = to_int(scheduled.max_attempts, config.scheduled_max_attempts);
+        }
+        if (scheduled.retry_base_delay_ms) {
+            config.scheduled_retry_base_delay_ms = to_int(scheduled.retry_base_delay_ms, config.scheduled_retry_base_delay_ms);
+        }
+    }
+
+    if (haraka_config && haraka_config.events) {
+        const events = haraka_config.events;
+        if (events.signing_secret) config.events_signing_secret = events.signing_secret;
+        if (events.timeout) config.events_timeout = to_int(events.timeout, config.events_timeout);
+        if (events.max_retries !== undefined && events.max_retries !== '') {
+            config.events_max_retries = to_int(events.max_retries, config.events_max_retries);
+        }
+        if (events.retry_base_delay_ms) {
+            config.events_retry_base_delay_ms = to_int(events.retry_base_delay_ms, config.events_retry_base_delay_ms);
+        }
+        if (events.queue_name) config.events_queue_name = events.queue_name;
+        if (events.poll_interval_ms) {
+            config.events_poll_interval_ms = to_int(events.poll_interval_ms, config.events_poll_interval_ms);
+        }
     }
 
     if (haraka_config && haraka_config.dkim && haraka_config.dkim.storage_dir !== undefined) {
@@ -301,6 +603,10 @@ function load(haraka_config = null) {
         if (worker.webhook_retry_base_delay_ms) {
             config.webhook_retry_base_delay_ms = to_int(worker.webhook_retry_base_delay_ms, config.webhook_retry_base_delay_ms);
         }
+        if (worker.metrics_port !== undefined && worker.metrics_port !== '') {
+            config.worker_metrics_port = to_int(worker.metrics_port, config.worker_metrics_port);
+        }
+        if (worker.metrics_host) config.worker_metrics_host = worker.metrics_host;
     }
 
     // Re-apply env values last so they always win over any .ini value.
@@ -0,0 +1,235 @@
+/**
+ * Outbound Delivery Event Publisher
+ *
+ * Posts delivered, deferred and bounced events for mail accepted by the
+ * HTTP send API to Phoenix. Requests are HMAC-signed (see signing.js) and
+ * retried with exponential backoff on network errors, 5xx and 429.
+ *
+ * An event whose post fails is kept in Redis until its next attempt: a hash
+ * of pending events indexed by retry time in a sorted set, so retries survive
+ * a restart and are shared by every outbound-relay replica. Due events are
+ * claimed by bumping their score by a lease, as the scheduled send store does.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http_client = require('./http-client');
+
+const EVENT_TYPES = ['delivered', 'deferred', 'bounced'];
+
+// How long a claimed event is hidden from other pollers
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+const CLAIM_DUE_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[3]))
+for _, id in ipairs(due) do
+    redis.call('ZADD', KEYS[1], ARGV[2], id)
+end
+return due
+`;
+
+/**
+ * Build a delivery event payload
+ * @param {string} type - delivered, deferred or bounced
+ * @param {Object} fields - Event fields (message_id, recipients, remote_mx, response, attempts, ...)
+ * @returns {Object} Event payload
+ */
+function build_event(type, fields = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown delivery event type: ${type}`);
+    }
+
+    return {
+        event_id: crypto.randomUUID(),
+        event: type,
+        occurred_at: new Date().toISOString(),
+        ...fields
+    };
+}
+
+function is_retryable(err) {
+    const status = err.status || null;
+    return !(status >= 400 && status < 500 && status !== 429);
+}
+
+/**
+ * Post an event to the configured Phoenix events URL once
+ * @param {Object} cfg - Loaded configuration
+ * @param {Object} event - Event built with build_event()
+ * @param {Object} logger - Telemetry logger
+ * @returns {Promise<void>} Rejects with the HTTP error; `status` is set for HTTP responses
+ */
+async function post(cfg, event, logger) {
+    await http_client.send_event(cfg.events_url, event, {
+        api_key: cfg.phoenix_api_key,
+        signing_secret: cfg.events_signing_secret || cfg.phoenix_api_key,
+        timeout: cfg.events_timeout,
+        headers: {
+            'X-Message-Id': event.message_id,
+            'X-Idempotency-Key': event.event_id
+        },
+        logger: (message) => logger.debug('http_client', { message })
+    });
+}
+
+class PendingEventStore {
+    constructor(queue_client, cfg) {
+        this.queue_client = queue_client;
+        this.cfg = cfg;
+    }
+
+    get index_key() {
+        return this.cfg.events_queue_name;
+    }
+
+    get items_key() {
+        return `${this.cfg.events_queue_name}:items`;
+    }
+
+    async save(event, attempts, retry_at) {
+        await this.queue_client.run((client) => client.multi()
+            .hSet(this.items_key, event.event_id, JSON.stringify({ attempts, event }))
+            .zAdd(this.index_key, { score: retry_at, value: event.event_id })
+            .exec());
+    }
+
+    async claim_due(limit = 50) {
+        const now = Date.now();
+        return this.queue_client.run((client) => client.eval(CLAIM_DUE_SCRIPT, {
+            keys: [this.index_key],
+            arguments: [String(now), String(now + CLAIM_LEASE_MS), String(limit)]
+        }));
+    }
+
+    async get(event_id) {
+        const raw = await this.queue_client.run((client) => client.hGet(this.items_key, event_id));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async remove(event_id) {
+        await this.queue_client.run((client) => client.multi()
+            .zRem(this.index_key, event_id)
+            .hDel(this.items_key, event_id)
+            .exec());
+    }
+}
+
+class DeliveryEventPublisher {
+    constructor(queue_client, cfg, logger) {
+        this.cfg = cfg;
+        this.logger = logger;
+        this.pending = new PendingEventStore(queue_client, cfg);
+        this.timer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Post an event, keeping it in Redis for a later attempt when the post fails
+     * @param {Object} event - Event built with build_event()
+     * @returns {Promise<boolean>} False when publishing is disabled
+     */
+    async publish(event) {
+        if (!this.cfg.events_url) return false;
+
+        try {
+            await post(this.cfg, event, this.logger);
+        } catch (err) {
+            await this.handle_failure(event, 1, err);
+        }
+        return true;
+    }
+
+    /**
+     * Retry the pending events that are due
+     * @returns {Promise<void>}
+     */
+    async retry_due() {
+        const event_ids = await this.pending.claim_due();
+
+        for (const event_id of event_ids) {
+            const entry = await this.pending.get(event_id);
+            if (!entry) {
+                await this.pending.remove(event_id);
+                continue;
+            }
+
+            try {
+                await post(this.cfg, entry.event, this.logger);
+                await this.pending.remove(event_id);
+            } catch (err) {
+                if (!await this.handle_failure(entry.event, entry.attempts + 1, err)) {
+                    await this.pending.remove(event_id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Schedule the next attempt of a failed event, or give up on it
+     * @param {Object} event - Event that failed
+     * @param {number} attempts - Attempts made so far
+     * @param {Error} err - Error of the last attempt
+     * @returns {Promise<boolean>} True when the event was kept for another attempt
+     */
+    async handle_failure(event, attempts, err) {
+        const status = err.status || null;
+
+        if (!is_retryable(err) || attempts > this.cfg.events_max_retries) {
+            this.logger.error('delivery_event_failed', {
+                event_id: event.event_id,
+                event: event.event,
+                message_id: event.message_id,
+                attempts,
+                status,
+                message: err.message
+            });
+            return false;
+        }
+
+        const delay_ms = this.cfg.events_retry_base_delay_ms * Math.pow(2, attempts - 1);
+        this.logger.warn('delivery_event_retry', {
+            event_id: event.event_id,
+            event: event.event,
+            message_id: event.message_id,
+            attempt: attempts,
+            status,
+            delay_ms,
+            message: err.message
+        });
+
+        await this.pending.save(event, attempts, Date.now() + delay_ms);
+        return true;
+    }
+
+    start() {
+        if (this.timer || !this.cfg.events_url || !this.cfg.events_poll_interval_ms) return;
+
+        this.timer = setInterval(() => {
+            if (this.polling) return;
+            this.polling = true;
+
+            this.retry_due()
+                .catch((err) => {
+                    this.logger.warn('delivery_event_retry_poll_failed', { message: err.message });
+                })
+                .finally(() => {
+                    this.polling = false;
+                });
+        }, this.cfg.events_poll_interval_ms);
+
+        // Never keep a process alive just for retries
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    build_event,
+    DeliveryEventPublisher
+};
@@ -0,0 +1,164 @@
+/**
+ * Outbound Delivery Status Module
+ *
+ * Persists per-message, per-recipient delivery state for mail accepted by
+ * the HTTP send API. State is stored in a Redis hash per message so that
+ * concurrent outbound hooks (one per delivery domain) never overwrite each
+ * other's recipients.
+ */
+
+'use strict';
+
+const STATES = ['queued', 'deferred', 'delivered', 'bounced'];
+
+const META_FIELD = 'meta';
+const RECIPIENT_FIELD_PREFIX = 'rcpt:';
+
+function normalize_recipient(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * Derive an overall message state from its recipient states
+ * @param {string[]} recipient_states - State of every recipient
+ * @returns {string} queued, deferred, delivered, bounced or partially_delivered
+ */
+function summarize_state(recipient_states) {
+    if (!recipient_states || recipient_states.length === 0) return 'queued';
+
+    if (recipient_states.includes('deferred')) return 'deferred';
+    if (recipient_states.includes('queued')) return 'queued';
+    if (recipient_states.every((state) => state === 'delivered')) return 'delivered';
+    if (recipient_states.every((state) => state === 'bounced')) return 'bounced';
+
+    return 'partially_delivered';
+}
+
+class DeliveryStatusStore {
+    constructor(queue_client, cfg, logger) {
+        this.queue_client = queue_client;
+        this.cfg = cfg;
+        this.logger = logger;
+    }
+
+    key(message_id) {
+        return `${this.cfg.delivery_status_key_prefix}:${message_id}`;
+    }
+
+    /**
+     * Record a freshly queued message. Uses HSETNX so that an outbound hook
+     * which raced ahead of this write is never rolled back to "queued".
+     * @param {string} message_id - API message ID
+     * @param {Object} details - Message details
+     * @param {string} details.from - Envelope sender
+     * @param {string[]} details.recipients - Envelope recipients
+     * @returns {Promise<void>}
+     */
+    async record_queued(message_id, { from, recipients }) {
+        const client = await this.queue_client.get_client();
+        const key = this.key(message_id);
+        const now = new Date().toISOString();
+
+        await client.hSetNX(key, META_FIELD, JSON.stringify({
+            message_id,
+            from,
+            created_at: now
+        }));
+
+        for (const recipient of recipients) {
+            await client.hSetNX(key, `${RECIPIENT_FIELD_PREFIX}${normalize_recipient(recipient)}`, JSON.stringify({
+                address: recipient,
+                state: 'queued',
+                updated_at: now,
+                attempts: 0
+            }));
+        }
+
+        await client.expire(key, this.cfg.delivery_status_ttl_sec);
+    }
+
+    /**
+     * Record an outbound delivery event for a set of recipients
+     * @param {string} message_id - API message ID
+     * @param {string} state - One of deferred, delivered, bounced
+     * @param {Object[]} recipients - Recipients the event applies to ({address, response, remote_mta})
+     * @param {Object} [details] - Shared event detail (response, attempts, remote_mx)
+     * @returns {Promise<void>}
+     */
+    async record_event(message_id, state, recipients, details = {}) {
+        if (!STATES.includes(state)) {
+            throw new Error(`Unknown delivery state: ${state}`);
+        }
+
+        const client = await this.queue_client.get_client();
+        const key = this.key(message_id);
+        const now = new Date().toISOString();
+
+        for (const recipient of recipients) {
+            const remote_mx = details.remote_mx || (recipient.remote_mta ? { host: recipient.remote_mta } : undefined);
+
+            await client.hSet(key, `${RECIPIENT_FIELD_PREFIX}${normalize_recipient(recipient.address)}`, JSON.stringify({
+                address: recipient.address,
+                state,
+                updated_at: now,
+                attempts: details.attempts,
+                response: recipient.response || details.response,
+                remote_mx
+            }));
+        }
+
+        await client.expire(key, this.cfg.delivery_status_ttl_sec);
+    }
+
+    /**
+     * Load the delivery status of a message
+     * @param {string} message_id - API message ID
+     * @returns {Promise<Object|null>} Status record or null when unknown/expired
+     */
+    async get(message_id) {
+        const client = await this.queue_client.get_client();
+        const fields = await client.hGetAll(this.key(message_id));
+
+        if (!fields || Object.keys(fields).length === 0) return null;
+
+        let meta = {};
+        const recipients = [];
+
+        for (const [field, value] of Object.entries(fields)) {
+            let parsed;
+            try {
+                parsed = JSON.parse(value);
+            } catch (err) {
+                this.logger.warn('delivery_status_corrupt_field', { message_id, field });
+                continue;
+            }
+
+            if (field === META_FIELD) {
+                meta = parsed;
+            } else if (field.startsWith(RECIPIENT_FIELD_PREFIX)) {
+                recipients.push(parsed);
+            }
+        }
+
+        const updated_at = recipients
+            .map((recipient) => recipient.updated_at)
+            .filter(Boolean)
+            .sort()
+            .pop() || meta.created_at || null;
+
+        return {
+            message_id,
+            state: summarize_state(recipients.map((recipient) => recipient.state)),
+            from: meta.from || null,
+            created_at: meta.created_at || null,
+            updated_at,
+            recipients
+        };
+    }
+}
+
+module.exports = {
+    DeliveryStatusStore,
+    summarize_state,
+    STATES
+};
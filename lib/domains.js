@@ -5,10 +5,15 @@
  * Provides helper functions for domain-related operations.
  * 
  * Supports dynamic domain loading from Phoenix API for custom domains.
+ * 
+ * Domains are compared and sent in their ASCII (IDNA/punycode) form, so
+ * `例子.中国` and `xn--fsqu00a.xn--fiqs8s` are the same domain. Local parts
+ * may be UTF-8; such addresses need SMTPUTF8 (RFC 6531) to be delivered.
  */
 
 'use strict';
 
+const url = require('url');
 const config = require('./config');
 const http_client = require('./http-client');
 
@@ -20,6 +25,33 @@ let refresh_interval = null;
 // Flag to track if we're currently refreshing
 let refresh_in_progress = false;
 
+// RFC 5321 4.5.3.1.1
+const MAX_LOCAL_PART_OCTETS = 64;
+
+/**
+ * Convert a domain to its ASCII (IDNA A-label) form
+ * @param {string} domain - Domain, in Unicode or ASCII
+ * @returns {string} Lowercased ASCII domain, or '' when it is not a valid host name
+ */
+function to_ascii_domain(domain) {
+    const trimmed = String(domain || '').trim().replace(/\.$/, '');
+    if (!trimmed) return '';
+
+    const ascii = url.domainToASCII(trimmed).toLowerCase();
+    if (!ascii || !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(ascii)) return '';
+    return ascii;
+}
+
+/**
+ * Convert a domain to its Unicode form for display
+ * @param {string} domain - Domain, in Unicode or ASCII
+ * @returns {string} Unicode domain, or '' when it is not a valid host name
+ */
+function to_unicode_domain(domain) {
+    const ascii = to_ascii_domain(domain);
+    return ascii ? url.domainToUnicode(ascii) : '';
+}
+
 /**
  * Get the list of local domains from configuration
  * These are domains that receive inbound mail and are protected from spoofing.
@@ -35,7 +67,7 @@ function get_local_domains() {
     }
     
     // Return config domains while we refresh in background
-    return cfg.local_domains || ['example.com'];
+    return (cfg.local_domains || ['example.com']).map((domain) => to_ascii_domain(domain) || domain);
 }
 
 /**
@@ -63,7 +95,7 @@ async function refresh_domains(logger = null) {
         });
         
         if (domains && domains.length > 0) {
-            cached_domains = domains.map(d => d.toLowerCase());
+            cached_domains = domains.map(d => to_ascii_domain(d) || d.toLowerCase());
             cache_timestamp = Date.now();
             
             if (logger) {
@@ -120,7 +152,7 @@ async function init(logger = null) {
 function is_local_domain(domain) {
     if (!domain) return false;
     const local_domains = get_local_domains();
-    return local_domains.includes(domain.toLowerCase());
+    return local_domains.includes(to_ascii_domain(domain) || domain.toLowerCase());
 }
 
 /**
@@ -159,7 +191,7 @@ function any_recipient_local(recipients) {
  * Extract domain from an email address
  * Handles formats like "email@domain.com" and "Display Name <email@domain.com>"
  * @param {string} email - Email address (possibly with display name)
- * @returns {string|null} Domain name or null if invalid
+ * @returns {string|null} ASCII (IDNA) domain name or null if invalid
  */
 function extract_domain(email) {
     if (!email) return null;
@@ -172,7 +204,7 @@ function extract_domain(email) {
     const parts = clean_email.split('@');
     if (parts.length !== 2) return null;
     
-    return parts[1].toLowerCase().trim();
+    return to_ascii_domain(parts[1]) || null;
 }
 
 /**
@@ -189,6 +221,36 @@ function extract_email(email) {
     return match ? match[1] : email.trim();
 }
 
+/**
+ * Validate an address and convert its domain to ASCII
+ * The local part is kept as given; it may contain UTF-8 (RFC 6531).
+ * @param {string} email - Email address (possibly with display name)
+ * @returns {string} `local@ascii-domain`, or '' when the address is invalid
+ */
+function normalize_email(email) {
+    const clean_email = extract_email(String(email || '').replace(/[\r\n]+/g, ' ').trim()).trim();
+    const at = clean_email.lastIndexOf('@');
+    if (at <= 0) return '';
+
+    const local_part = clean_email.slice(0, at);
+    // No whitespace, controls, brackets or a second @ in the local part
+    if (/[\s\x00-\x1f\x7f<>@]/.test(local_part)) return '';
+    if (Buffer.byteLength(local_part, 'utf8') > MAX_LOCAL_PART_OCTETS) return '';
+
+    const domain = to_ascii_domain(clean_email.slice(at + 1));
+    return domain ? `${local_part}@${domain}` : '';
+}
+
+/**
+ * Check whether an address can only be sent with SMTPUTF8
+ * @param {string} email - Normalized email address
+ * @returns {boolean} True when the local part is not ASCII
+ */
+function requires_smtputf8(email) {
+    const address = String(email || '');
+    return /[^\x00-\x7f]/.test(address.slice(0, address.lastIndexOf('@')));
+}
+
 /**
  * Filter recipients by local/external domain
  * @param {string[]} recipients - Array of email addresses
@@ -241,6 +303,10 @@ module.exports = {
     any_recipient_local,
     extract_domain,
     extract_email,
+    normalize_email,
+    requires_smtputf8,
+    to_ascii_domain,
+    to_unicode_domain,
     partition_recipients,
     get_cache_status
 };
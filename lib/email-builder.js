@@ -2,15 +2,31 @@
  * Email Builder Module
  * 
  * Constructs RFC 5322 compliant email messages with proper MIME structure.
- * Supports plain text, HTML, multipart/alternative, and attachments.
+ * Supports plain text, HTML, multipart/alternative, attachments, inline
+ * images referenced from the HTML by cid: (multipart/related), and calendar
+ * invitations (text/calendar alternative plus an .ics attachment).
  */
 
 'use strict';
 
+const fs = require('fs');
 const crypto = require('crypto');
+const { Readable } = require('stream');
 const domains = require('./domains');
+const calendar = require('./calendar');
+const api_errors = require('./api-errors');
 
 const HEADER_TOKEN_RE = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+// A display name made only of atoms can be written without quotes (RFC 5322 phrase)
+const PHRASE_ATOMS_RE = /^[A-Za-z0-9!#$%&'*+\-/=?^_`{|}~]+( [A-Za-z0-9!#$%&'*+\-/=?^_`{|}~]+)*$/;
+// Characters allowed unencoded in a Q encoded word inside a phrase (RFC 2047 section 5)
+const Q_SAFE_RE = /^[A-Za-z0-9!*+\-/]$/;
+const NON_ASCII_RE = /[^\x20-\x7e]/;
+
+// Encoded words are at most 75 characters; shorter ones keep "Subject: " lines under 78
+const ENCODED_WORD_MAX_LENGTH = 60;
+const ENCODED_WORD_OVERHEAD = '=?UTF-8?B??='.length;
+const HEADER_LINE_MAX_LENGTH = 78;
 
 function sanitize_header_value(value) {
     if (value === undefined || value === null) return '';
@@ -28,11 +44,9 @@ function sanitize_message_id(value) {
     return normalized || crypto.randomUUID();
 }
 
+// Domains are converted to ASCII (IDNA); UTF-8 local parts are kept for SMTPUTF8
 function normalize_address(value) {
-    const extracted = sanitize_header_value(domains.extract_email(sanitize_header_value(value)));
-    if (!extracted) return '';
-    if (!/^[^\s@<>]+@[A-Za-z0-9.-]+$/.test(extracted)) return '';
-    return extracted;
+    return domains.normalize_email(sanitize_header_value(value));
 }
 
 function normalize_address_list(value) {
@@ -41,6 +55,41 @@ function normalize_address_list(value) {
     return list.map((entry) => normalize_address(entry)).filter(Boolean);
 }
 
+/**
+ * Split `Display Name <address>` into its parts
+ * @param {string} value - Address with or without a display name
+ * @returns {Object|null} `{name, address}`, or null when the address is invalid
+ */
+function normalize_mailbox(value) {
+    const raw = sanitize_header_value(value);
+    const address = normalize_address(raw);
+    if (!address) return null;
+
+    const angle = raw.indexOf('<');
+    let name = angle > 0 ? raw.slice(0, angle).trim() : '';
+    if (name.length >= 2 && name.startsWith('"') && name.endsWith('"')) {
+        name = name.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    return { name: name.replace(/\s+/g, ' ').trim(), address };
+}
+
+function normalize_mailbox_list(value) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list.map((entry) => normalize_mailbox(entry)).filter(Boolean);
+}
+
+function format_display_name(name) {
+    if (NON_ASCII_RE.test(name)) return encode_words(name);
+    if (PHRASE_ATOMS_RE.test(name)) return name;
+    return `"${name.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+function format_mailbox(mailbox) {
+    return mailbox.name ? `${format_display_name(mailbox.name)} <${mailbox.address}>` : mailbox.address;
+}
+
 function first_string(...values) {
     for (const value of values) {
         if (typeof value === 'string') return value;
@@ -87,62 +136,293 @@ function encode_quoted_printable(value) {
     }).join('\r\n');
 }
 
+function q_encode_char(char) {
+    if (char === ' ') return '_';
+    if (Q_SAFE_RE.test(char)) return char;
+    return Array.from(Buffer.from(char, 'utf8'))
+        .map((byte) => `=${byte.toString(16).toUpperCase().padStart(2, '0')}`)
+        .join('');
+}
+
+/**
+ * Encode text as RFC 2047 encoded words, split on character boundaries
+ *
+ * Q encoding is used when it is shorter than base64, which keeps mostly
+ * ASCII text readable in the raw message. The encoding is restricted to
+ * what is valid inside a display name, so the result also fits Subject.
+ *
+ * @param {string} value - Text to encode
+ * @returns {string} Encoded words separated by single spaces
+ */
+function encode_words(value) {
+    const chars = Array.from(String(value || ''));
+    const q_length = chars.reduce((total, char) => total + q_encode_char(char).length, 0);
+    const b_length = Math.ceil(Buffer.byteLength(chars.join(''), 'utf8') / 3) * 4;
+    const use_q = q_length <= b_length;
+    const max_payload = ENCODED_WORD_MAX_LENGTH - ENCODED_WORD_OVERHEAD;
+
+    const words = [];
+    let current = '';
+    let current_length = 0;
+    let current_bytes = 0;
+
+    for (const char of chars) {
+        const char_bytes = Buffer.byteLength(char, 'utf8');
+        const next_length = use_q
+            ? current_length + q_encode_char(char).length
+            : Math.ceil((current_bytes + char_bytes) / 3) * 4;
+        if (current && next_length > max_payload) {
+            words.push(current);
+            current = '';
+            current_length = 0;
+            current_bytes = 0;
+        }
+        current += char;
+        current_bytes += char_bytes;
+        current_length = use_q ? current_length + q_encode_char(char).length : Math.ceil(current_bytes / 3) * 4;
+    }
+    if (current) words.push(current);
+
+    return words.map((word) => (use_q
+        ? `=?UTF-8?Q?${Array.from(word).map(q_encode_char).join('')}?=`
+        : `=?UTF-8?B?${Buffer.from(word, 'utf8').toString('base64')}?=`)).join(' ');
+}
+
+// Unstructured text only needs encoding when it is not plain ASCII
+function encode_unstructured(value) {
+    return NON_ASCII_RE.test(value) ? encode_words(value) : value;
+}
+
+/**
+ * Fold a header at spaces so lines stay under 78 characters where possible (RFC 5322 2.2.3)
+ * @param {string} name - Header name
+ * @param {string|string[]} value - Value, or units (such as list entries) to keep on one line when they fit
+ * @returns {string} Header field, continuation lines joined with CRLF
+ */
+function fold_header(name, value) {
+    const units = Array.isArray(value) ? value : [String(value)];
+    // A unit too long for a line of its own folds at its own spaces
+    const words = units.flatMap((unit) => (unit.length + 1 > HEADER_LINE_MAX_LENGTH ? unit.split(' ') : [unit]));
+    const lines = [];
+    let line = `${name}:`;
+
+    for (const word of words) {
+        if (word && line.length > name.length + 1 && line.length + 1 + word.length > HEADER_LINE_MAX_LENGTH) {
+            lines.push(line);
+            line = '';
+        }
+        line += ` ${word}`;
+    }
+    lines.push(line);
+
+    return lines.join('\r\n');
+}
+
+function address_list_units(mailboxes) {
+    return mailboxes.map((mailbox, index) => `${format_mailbox(mailbox)}${index < mailboxes.length - 1 ? ',' : ''}`);
+}
+
+const TEMPLATE_VARIABLE_RE = /\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/g;
+
+function escape_html(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function lookup_variable(variables, name) {
+    let value = variables;
+    for (const segment of name.split('.')) {
+        if (value === undefined || value === null || typeof value !== 'object') return '';
+        value = value[segment];
+    }
+    return value === undefined || value === null ? '' : value;
+}
+
+function render_string(template, variables, escape = null) {
+    if (typeof template !== 'string') return template;
+    return template.replace(TEMPLATE_VARIABLE_RE, (match, name) => {
+        const value = String(lookup_variable(variables, name));
+        return escape ? escape(value) : value;
+    });
+}
+
+/**
+ * Substitute {{variable}} placeholders in a structured email template.
+ * Values are HTML-escaped in HTML bodies; unknown variables render empty.
+ * @param {Object} email_data - Structured email data used as a template
+ * @param {Object} variables - Per-recipient variables (dotted paths allowed)
+ * @returns {Object} New email data with subject and bodies rendered
+ */
+function render_template(email_data, variables = {}) {
+    const rendered = { ...email_data };
+
+    for (const field of ['subject', 'text_body', 'text', 'body']) {
+        rendered[field] = render_string(email_data[field], variables);
+    }
+    for (const field of ['html_body', 'html']) {
+        rendered[field] = render_string(email_data[field], variables, escape_html);
+    }
+
+    return rendered;
+}
+
 /**
  * Build an RFC 5322 compliant email message
  * @param {Object} email_data - Email data object
- * @param {string} email_data.from - Sender email address
- * @param {string|string[]} email_data.to - Recipient(s)
+ * @param {string} email_data.from - Sender, `address` or `Display Name <address>`
+ * @param {string|string[]} email_data.to - Recipient(s), with optional display names
  * @param {string} [email_data.cc] - CC recipients
  * @param {string} [email_data.subject] - Email subject
  * @param {string} [email_data.text_body] - Plain text body
  * @param {string} [email_data.html_body] - HTML body
  * @param {string} [email_data.reply_to] - Reply-To address
  * @param {Object} [email_data.headers] - Custom headers
- * @param {Array} [email_data.attachments] - Attachments array
+ * @param {Array} [email_data.attachments] - `{filename, content_type, data}`; with
+ *   `inline: true` and a `content_id` a part is shown inside the HTML body instead
+ * @param {Object} [email_data.calendar] - iTIP event (see lib/calendar.js); the
+ *   sender is the organizer unless `calendar.organizer` is set
  * @param {string} [message_id] - Optional message ID (generated if not provided)
  * @returns {Object} Object with email_content and message_id
  */
 function build(email_data, message_id = null) {
+    const { headers, sender_email, message_id: safe_message_id } = build_headers(email_data, message_id);
+    const text_body = get_text_body(email_data);
+    const html_body = get_html_body(email_data);
+
+    const invite = build_invite(email_data);
+
+    // Determine email structure and build body
+    const { inline, regular } = split_attachments(email_data, invite);
+    
+    const body_parts = regular.length > 0
+        ? build_multipart_mixed(email_data, invite)
+        : build_content_part(text_body, html_body, inline, invite);
+    
+    // Combine headers and body
+    const email_content = [...headers, ...body_parts].join('\r\n');
+    
+    return {
+        email_content,
+        message_id: safe_message_id,
+        sender_email
+    };
+}
+
+/**
+ * Build a message whose file attachments are streamed from disk
+ *
+ * The result is always multipart/mixed. `attachments` embedded in the payload
+ * come first, then each file, base64-encoded in 76-character lines while it
+ * is read. Lines are dot-stuffed, as Haraka expects of stream contents.
+ *
+ * @param {Object} email_data - Email data object (see build())
+ * @param {Object[]} files - `{path, filename, content_type}` of each file
+ * @param {string} [message_id] - Optional message ID (generated if not provided)
+ * @returns {Object} `{stream, size, header_block, message_id, sender_email}`; size is
+ *   the byte count the stream will produce, given the `size` of each file
+ */
+function build_stream(email_data, files, message_id = null) {
+    const { headers, sender_email, message_id: safe_message_id } = build_headers(email_data, message_id);
+    const boundary = `boundary-mixed-${crypto.randomUUID()}`;
+    const head = dot_stuff([...headers, ...build_multipart_mixed_head(email_data, boundary, build_invite(email_data))].join('\r\n'));
+    const part_heads = files.map((file) => `\r\n\r\n${attachment_part_headers(boundary, file).join('\r\n')}\r\n\r\n`);
+    const tail = `\r\n--${boundary}--\r\n`;
+
+    async function* generate() {
+        yield head;
+
+        for (const [index, file] of files.entries()) {
+            yield part_heads[index];
+            yield* base64_lines(fs.createReadStream(file.path));
+        }
+
+        yield tail;
+    }
+
+    const size = Buffer.byteLength(head) + Buffer.byteLength(tail)
+        + files.reduce((total, file, index) => total + Buffer.byteLength(part_heads[index]) + base64_lines_bytes(file.size), 0);
+
+    return {
+        stream: Readable.from(generate()),
+        size,
+        header_block: headers.join('\r\n'),
+        message_id: safe_message_id,
+        sender_email
+    };
+}
+
+function dot_stuff(text) {
+    return text.replace(/(^|\r\n)\./g, '$1..');
+}
+
+// Output size of base64_lines() for an input of `size` bytes
+function base64_lines_bytes(size) {
+    return Math.ceil(size / 3) * 4 + Math.ceil(size / 57) * 2;
+}
+
+// 57 input bytes make one 76-character base64 line
+async function* base64_lines(input) {
+    let carry = Buffer.alloc(0);
+
+    for await (const chunk of input) {
+        const data = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+        const usable = data.length - (data.length % 57);
+        if (usable > 0) {
+            yield `${data.subarray(0, usable).toString('base64').replace(/.{76}/g, '$&\r\n')}`;
+        }
+        carry = data.subarray(usable);
+    }
+
+    if (carry.length) yield `${carry.toString('base64')}\r\n`;
+}
+
+/**
+ * Build the header lines shared by every message shape
+ * @param {Object} email_data - Email data object (see build())
+ * @param {string} [message_id] - Optional message ID (generated if not provided)
+ * @returns {Object} `{headers, message_id, sender_email}`
+ */
+function build_headers(email_data, message_id = null) {
     message_id = sanitize_message_id(message_id || crypto.randomUUID());
 
-    const safe_from = normalize_address(email_data.from);
-    const safe_reply_to = normalize_address(email_data.reply_to || email_data.from) || safe_from;
-    const safe_to_recipients = normalize_address_list(email_data.to);
-    const safe_cc_recipients = normalize_address_list(email_data.cc);
+    const from_mailbox = normalize_mailbox(email_data.from);
+    const reply_to_mailbox = normalize_mailbox(email_data.reply_to || email_data.from) || from_mailbox;
+    const to_mailboxes = normalize_mailbox_list(email_data.to);
+    const cc_mailboxes = normalize_mailbox_list(email_data.cc);
     const safe_subject = sanitize_header_value(email_data.subject || '');
-    const text_body = get_text_body(email_data);
-    const html_body = get_html_body(email_data);
 
-    if (!safe_from) {
-        throw new Error('Invalid from address');
+    if (!from_mailbox) {
+        throw api_errors.create('invalid_sender');
     }
-    if (safe_to_recipients.length === 0) {
-        throw new Error('Invalid to recipient list');
+    if (to_mailboxes.length === 0) {
+        throw api_errors.create('invalid_recipient', 'Invalid to recipient list');
     }
     
     // Extract sender domain for Message-ID
+    const safe_from = from_mailbox.address;
     const sender_email = domains.extract_email(safe_from);
     const sender_domain = domains.extract_domain(safe_from) || 'haraka.local';
     
-    // Build recipient list
-    const recipients = safe_to_recipients;
-    
-    // Start building headers
+    // Start building headers; display names and non-ASCII text are RFC 2047 encoded
     const headers = [
         `Message-ID: <${message_id}@${sender_domain}>`,
         `Date: ${new Date().toUTCString()}`,
-        `From: ${safe_from}`,
-        `Reply-To: ${safe_reply_to}`,
-        `To: ${recipients.join(', ')}`
+        fold_header('From', format_mailbox(from_mailbox)),
+        fold_header('Reply-To', format_mailbox(reply_to_mailbox)),
+        fold_header('To', address_list_units(to_mailboxes))
     ];
     
     // Add CC if present
-    if (safe_cc_recipients.length > 0) {
-        headers.push(`Cc: ${safe_cc_recipients.join(', ')}`);
+    if (cc_mailboxes.length > 0) {
+        headers.push(fold_header('Cc', address_list_units(cc_mailboxes)));
     }
     
     // Add subject
-    headers.push(`Subject: ${safe_subject}`);
+    headers.push(fold_header('Subject', encode_unstructured(safe_subject)));
     headers.push('MIME-Version: 1.0');
     
     // Add custom headers (with injection prevention)
@@ -157,35 +437,11 @@ function build(email_data, message_id = null) {
             if (['from', 'to', 'cc', 'bcc', 'subject', 'date', 'message-id', 'mime-version'].includes(lower_key)) {
                 continue;
             }
-            headers.push(`${safe_key}: ${safe_value}`);
+            headers.push(fold_header(safe_key, safe_value));
         }
     }
-    
-    // Determine email structure and build body
-    const has_attachments = email_data.attachments && 
-                           Array.isArray(email_data.attachments) && 
-                           email_data.attachments.length > 0;
-    
-    let body_parts;
-    
-    if (has_attachments) {
-        body_parts = build_multipart_mixed(email_data);
-    } else if (text_body && html_body) {
-        body_parts = build_multipart_alternative(text_body, html_body);
-    } else if (html_body) {
-        body_parts = build_html_body(html_body);
-    } else {
-        body_parts = build_text_body(text_body || '');
-    }
-    
-    // Combine headers and body
-    const email_content = [...headers, ...body_parts].join('\r\n');
-    
-    return {
-        email_content,
-        message_id,
-        sender_email
-    };
+
+    return { headers, message_id, sender_email };
 }
 
 /**
@@ -220,102 +476,199 @@ function build_html_body(html) {
  * Build a multipart/alternative body (text + HTML)
  * @param {string} text - Plain text content
  * @param {string} html - HTML content
+ * @param {string[]} [html_part] - Prebuilt HTML part, such as a multipart/related one
  * @returns {string[]} Body lines
  */
-function build_multipart_alternative(text, html) {
+function build_multipart_alternative(text, html, html_part = build_html_body(html)) {
+    return wrap_alternative([build_text_body(text), html_part]);
+}
+
+// Alternatives go from plainest to richest; clients show the last one they support
+function wrap_alternative(parts) {
     const boundary = `boundary-${crypto.randomUUID()}`;
-    
-    return [
+    const lines = [
         `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        ''
+    ];
+
+    for (const part of parts) {
+        lines.push(`--${boundary}`, ...part, '');
+    }
+    lines.push(`--${boundary}--`);
+
+    return lines;
+}
+
+/**
+ * Render the calendar field of a message
+ * @param {Object} email_data - Email data object (see build())
+ * @returns {Object|null} `{text, part, attachment}`, or null without a calendar
+ */
+function build_invite(email_data) {
+    if (!email_data.calendar) return null;
+
+    const from_mailbox = normalize_mailbox(email_data.from);
+    const [invalid] = calendar.validate(email_data.calendar, { has_sender: Boolean(from_mailbox) });
+    if (invalid) {
+        throw api_errors.create('invalid_request', invalid.message, { field: invalid.field });
+    }
+
+    const ics = calendar.build_ics(email_data.calendar, {
+        organizer: from_mailbox && { email: from_mailbox.address, name: from_mailbox.name }
+    });
+    const data = Buffer.from(ics, 'utf8').toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+
+    return {
+        text: calendar.describe(email_data.calendar),
+        // RFC 6047: the method parameter must match the METHOD property
+        part: [
+            `Content-Type: text/calendar; charset=utf-8; method=${email_data.calendar.method}`,
+            'Content-Transfer-Encoding: base64',
+            '',
+            data
+        ],
+        // Clients that ignore the alternative still find the event as a file
+        attachment: { filename: 'invite.ics', content_type: 'application/ics', data }
+    };
+}
+
+/**
+ * Build a multipart/related body: the HTML and the inline parts it references by cid:
+ * @param {string} html - HTML content
+ * @param {Object[]} inline_attachments - Attachments with `inline: true` and a `content_id`
+ * @returns {string[]} Body lines
+ */
+function build_multipart_related(html, inline_attachments) {
+    const boundary = `boundary-related-${crypto.randomUUID()}`;
+    const parts = [
+        `Content-Type: multipart/related; type="text/html"; boundary="${boundary}"`,
         '',
         `--${boundary}`,
-        'Content-Type: text/plain; charset=utf-8',
-        'Content-Transfer-Encoding: quoted-printable',
-        '',
-        encode_quoted_printable(text),
-        '',
-        `--${boundary}`,
-        'Content-Type: text/html; charset=utf-8',
-        'Content-Transfer-Encoding: quoted-printable',
-        '',
-        encode_quoted_printable(html),
-        '',
-        `--${boundary}--`
+        ...build_html_body(html)
     ];
+
+    for (const attachment of inline_attachments) {
+        parts.push('', ...attachment_part_headers(boundary, attachment), '', attachment.data);
+    }
+    parts.push('', `--${boundary}--`);
+
+    return parts;
+}
+
+/**
+ * Build the readable content of a message, without its regular attachments
+ *
+ * Text and HTML become multipart/alternative. HTML with inline parts is
+ * wrapped in multipart/related, nested inside the alternative when there
+ * is also a text body. A calendar invite is always the last alternative,
+ * after a text part that describes the event when no text body is given.
+ *
+ * @param {string} text_body - Plain text content
+ * @param {string} html_body - HTML content
+ * @param {Object[]} inline_attachments - Inline parts referenced from the HTML
+ * @param {Object} [invite] - Rendered calendar (see build_invite())
+ * @returns {string[]} Body lines
+ */
+function build_content_part(text_body, html_body, inline_attachments, invite = null) {
+    const html_part = !html_body
+        ? null
+        : inline_attachments.length > 0
+            ? build_multipart_related(html_body, inline_attachments)
+            : build_html_body(html_body);
+
+    if (invite) {
+        return wrap_alternative([
+            build_text_body(text_body || invite.text),
+            ...(html_part ? [html_part] : []),
+            invite.part
+        ]);
+    }
+
+    if (!html_part) return build_text_body(text_body || '');
+
+    return text_body ? build_multipart_alternative(text_body, html_body, html_part) : html_part;
+}
+
+function is_inline(attachment) {
+    return Boolean(attachment && attachment.inline === true && attachment.content_id);
+}
+
+// Inline parts are only referenced from HTML; without an HTML body they go in multipart/mixed
+function split_attachments(email_data, invite = null) {
+    const attachments = Array.isArray(email_data.attachments) ? email_data.attachments : [];
+    const invite_attachments = invite ? [invite.attachment] : [];
+    if (!get_html_body(email_data)) return { inline: [], regular: [...attachments, ...invite_attachments] };
+
+    return {
+        inline: attachments.filter(is_inline),
+        regular: [...attachments.filter((attachment) => !is_inline(attachment)), ...invite_attachments]
+    };
 }
 
 /**
  * Build a multipart/mixed body (content + attachments)
  * @param {Object} email_data - Email data with attachments
+ * @param {Object} [invite] - Rendered calendar (see build_invite())
  * @returns {string[]} Body lines
  */
-function build_multipart_mixed(email_data) {
+function build_multipart_mixed(email_data, invite = build_invite(email_data)) {
     const mixed_boundary = `boundary-mixed-${crypto.randomUUID()}`;
-    const text_body = get_text_body(email_data);
-    const html_body = get_html_body(email_data);
+    const parts = build_multipart_mixed_head(email_data, mixed_boundary, invite);
+
+    // Close boundary
+    parts.push('', `--${mixed_boundary}--`);
+    
+    return parts;
+}
+
+/**
+ * Build a multipart/mixed body up to, but not including, its closing delimiter
+ * @param {Object} email_data - Email data, optionally with inline attachments
+ * @param {string} mixed_boundary - Boundary of the multipart/mixed body
+ * @param {Object} [invite] - Rendered calendar (see build_invite())
+ * @returns {string[]} Body lines
+ */
+function build_multipart_mixed_head(email_data, mixed_boundary, invite = null) {
+    const { inline, regular } = split_attachments(email_data, invite);
     const parts = [
         `Content-Type: multipart/mixed; boundary="${mixed_boundary}"`,
         '',
-        `--${mixed_boundary}`
+        `--${mixed_boundary}`,
+        // Message body as first part
+        ...build_content_part(get_text_body(email_data), get_html_body(email_data), inline, invite)
     ];
     
-    // Add message body as first part
-    if (text_body && html_body) {
-        // Nested multipart/alternative for text + HTML
-        const alt_boundary = `boundary-alt-${crypto.randomUUID()}`;
-        parts.push(
-            `Content-Type: multipart/alternative; boundary="${alt_boundary}"`,
-            '',
-            `--${alt_boundary}`,
-            'Content-Type: text/plain; charset=utf-8',
-            'Content-Transfer-Encoding: quoted-printable',
-            '',
-            encode_quoted_printable(text_body),
-            '',
-            `--${alt_boundary}`,
-            'Content-Type: text/html; charset=utf-8',
-            'Content-Transfer-Encoding: quoted-printable',
-            '',
-            encode_quoted_printable(html_body),
-            '',
-            `--${alt_boundary}--`
-        );
-    } else if (html_body) {
-        parts.push(
-            'Content-Type: text/html; charset=utf-8',
-            'Content-Transfer-Encoding: quoted-printable',
-            '',
-            encode_quoted_printable(html_body)
-        );
-    } else {
-        parts.push(
-            'Content-Type: text/plain; charset=utf-8',
-            'Content-Transfer-Encoding: quoted-printable',
-            '',
-            encode_quoted_printable(text_body || '')
-        );
-    }
-    
     // Add attachment parts
-    for (const attachment of email_data.attachments) {
-        const safe_content_type = sanitize_header_value(attachment.content_type || 'application/octet-stream') || 'application/octet-stream';
-        parts.push(
-            '',
-            `--${mixed_boundary}`,
-            `Content-Type: ${safe_content_type}`,
-            'Content-Transfer-Encoding: base64',
-            `Content-Disposition: attachment; filename="${(attachment.filename || 'attachment').replace(/["\\\/\r\n]/g, '_')}"`,
-            '',
-            attachment.data
-        );
+    for (const attachment of regular) {
+        parts.push('', ...attachment_part_headers(mixed_boundary, attachment), '', attachment.data);
     }
-    
-    // Close boundary
-    parts.push('', `--${mixed_boundary}--`);
-    
+
     return parts;
 }
 
+function attachment_part_headers(boundary, attachment) {
+    const safe_content_type = sanitize_header_value(attachment.content_type || 'application/octet-stream') || 'application/octet-stream';
+    const content_id = sanitize_content_id(attachment.content_id);
+    const headers = [
+        `--${boundary}`,
+        `Content-Type: ${safe_content_type}`,
+        'Content-Transfer-Encoding: base64'
+    ];
+
+    if (content_id) headers.push(`Content-ID: <${content_id}>`);
+    headers.push(
+        `Content-Disposition: ${is_inline(attachment) ? 'inline' : 'attachment'}; filename="${(attachment.filename || 'attachment').replace(/["\\\/\r\n]/g, '_')}"`
+    );
+
+    return headers;
+}
+
+// HTML refers to "cid:logo@example.com"; the header carries "<logo@example.com>"
+function sanitize_content_id(value) {
+    if (typeof value !== 'string') return '';
+    return value.trim().replace(/^cid:/i, '').replace(/^<|>$/g, '').replace(/[^A-Za-z0-9!#$%&'*+\-/=?^_`{|}~.@]/g, '');
+}
+
 /**
  * Convert structured email data to webhook format for local delivery
  * @param {Object} email_data - Structured email data
@@ -369,11 +722,15 @@ function collect_recipients(email_data) {
 
 module.exports = {
     build,
+    build_stream,
     build_text_body,
     build_html_body,
     build_multipart_alternative,
+    build_multipart_related,
     build_multipart_mixed,
     encode_quoted_printable,
+    encode_words,
+    render_template,
     to_webhook_format,
     collect_recipients
 };
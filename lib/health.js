@@ -0,0 +1,129 @@
+/**
+ * Dependency Health Checks
+ *
+ * Readiness checks for the outbound relay. Each check resolves to
+ * `{status, critical, ...detail}` where status is ok, warn or fail; a check
+ * that throws or runs past the timeout counts as fail. The report is not
+ * ready when any critical check fails. Warnings never make it unready.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const outbound_queue = require('./outbound-queue');
+
+function with_timeout(promise, timeout_ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${timeout_ms}ms`)), timeout_ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run checks in parallel and summarise them
+ * @param {Object} checks - Check name -> `{critical, run}` where run() resolves to detail
+ * @param {number} timeout_ms - Per-check timeout
+ * @returns {Promise<Object>} `{ok, status, checks}`; status is ok, degraded or fail
+ */
+async function run_checks(checks, timeout_ms) {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(async (name) => {
+        const { critical, run } = checks[name];
+        const started = Date.now();
+        try {
+            const detail = await with_timeout(Promise.resolve().then(run), timeout_ms);
+            return { status: 'ok', ...detail, critical, latency_ms: Date.now() - started };
+        } catch (err) {
+            return { status: 'fail', critical, error: err.message, latency_ms: Date.now() - started };
+        }
+    }));
+
+    const report = {};
+    names.forEach((name, index) => {
+        report[name] = results[index];
+    });
+
+    const ok = results.every((result) => !result.critical || result.status !== 'fail');
+    const clean = results.every((result) => result.status === 'ok');
+    return { ok, status: ok ? (clean ? 'ok' : 'degraded') : 'fail', checks: report };
+}
+
+/**
+ * Redis round trip
+ * @param {Object} queue_client - QueueClient
+ * @returns {Promise<Object>} Detail
+ */
+async function check_redis(queue_client) {
+    const client = await queue_client.get_client();
+    const reply = await client.ping();
+    if (reply !== 'PONG') throw new Error(`unexpected PING reply ${reply}`);
+    return {};
+}
+
+/**
+ * Create, write and remove a probe file so a read-only mount is caught
+ * @param {string} dir - Directory that must be writable; created like a first write would
+ * @returns {Promise<Object>} Detail
+ */
+async function check_writable_dir(dir) {
+    await fs.promises.mkdir(dir, { recursive: true, mode: 0o755 });
+    const probe = path.join(dir, `.health-${process.pid}`);
+    await fs.promises.writeFile(probe, String(Date.now()), { mode: 0o600 });
+    await fs.promises.unlink(probe);
+    return { path: dir };
+}
+
+/**
+ * Freshness of the Phoenix domain cache
+ * @param {Object} cache_status - domains.get_cache_status()
+ * @returns {Object} Detail; warn when the cache is empty or has missed a refresh
+ */
+function check_domain_cache(cache_status) {
+    const detail = {
+        cached: cache_status.cached,
+        domains: cache_status.domains.length,
+        age_ms: cache_status.age_ms,
+        ttl_ms: cache_status.ttl_ms
+    };
+
+    if (!cache_status.cached) {
+        return { ...detail, status: 'warn', message: 'No domains loaded from Phoenix; using configured local_domains' };
+    }
+    // Refreshes run once per TTL, so an age past two TTLs means one has failed
+    if (cache_status.age_ms > cache_status.ttl_ms * 2) {
+        return { ...detail, status: 'warn', message: 'Domain cache is stale; Phoenix domain refreshes are failing' };
+    }
+    return detail;
+}
+
+/**
+ * Outbound queue directory access and backlog
+ * @param {string} queue_dir - Haraka queue directory
+ * @param {number} warn_items - Warn at this many queued items (0 disables)
+ * @returns {Promise<Object>} Detail
+ */
+async function check_outbound_queue(queue_dir, warn_items) {
+    await fs.promises.access(queue_dir, fs.constants.R_OK | fs.constants.W_OK);
+    const counts = await outbound_queue.count_items(queue_dir);
+    const detail = {
+        path: queue_dir,
+        total: counts.total,
+        deferred: counts.deferred,
+        oldest_age_ms: counts.oldest_arrival ? Date.now() - counts.oldest_arrival : null
+    };
+
+    if (warn_items && counts.total >= warn_items) {
+        return { ...detail, status: 'warn', message: `${counts.total} items queued (warn at ${warn_items})` };
+    }
+    return detail;
+}
+
+module.exports = {
+    run_checks,
+    check_redis,
+    check_writable_dir,
+    check_domain_cache,
+    check_outbound_queue
+};
@@ -10,6 +10,7 @@
 const http = require('http');
 const https = require('https');
 const url = require('url');
+const signing = require('./signing');
 
 /**
  * Make an HTTP/HTTPS request
@@ -20,6 +21,8 @@ const url = require('url');
  * @param {Object} [options.headers] - Additional headers
  * @param {number} [options.timeout=30000] - Request timeout in milliseconds
  * @param {string} [options.api_key] - API key to include in X-API-Key header
+ * @param {string} [options.signing_secret] - Secret used to HMAC-sign the request body
+ * @param {string} [options.traceparent] - W3C trace context to propagate
  * @param {Function} [options.logger] - Logger function for debug output
  * @returns {Promise<Object>} Response object with status, data, and headers
  */
@@ -36,6 +39,8 @@ function request(options) {
             headers = {},
             timeout = 30000,
             api_key = null,
+            signing_secret = null,
+            traceparent = null,
             logger = null
         } = options;
 
@@ -81,6 +86,16 @@ function request(options) {
             request_options.headers['X-API-Key'] = api_key;
         }
 
+        // Lets the receiver join the caller's trace
+        if (traceparent) {
+            request_options.headers.traceparent = traceparent;
+        }
+
+        // Sign the exact bytes we send so the receiver can verify them
+        if (signing_secret) {
+            Object.assign(request_options.headers, signing.build_signature_headers(signing_secret, payload || ''));
+        }
+
         // Use pooled agents for connection reuse
         const is_https = parsed_url.protocol === 'https:';
         const protocol = is_https ? https : http;
@@ -147,6 +162,7 @@ function request(options) {
  * @param {Object} options - Additional options
  * @param {string} [options.api_key] - API key
  * @param {number} [options.timeout=30000] - Timeout in milliseconds
+ * @param {string} [options.traceparent] - W3C trace context to propagate
  * @param {Function} [options.logger] - Logger function
  * @returns {Promise<Object>} Response data
  */
@@ -158,12 +174,42 @@ async function send_webhook(webhook_url, data, options = {}) {
         headers: options.headers || {},
         api_key: options.api_key,
         timeout: options.timeout || 30000,
+        traceparent: options.traceparent,
         logger: options.logger
     });
     
     return result.data;
 }
 
+/**
+ * Post a signed event to the Phoenix app
+ * @param {string} events_url - Events URL
+ * @param {Object} event - Event payload
+ * @param {Object} options - Additional options
+ * @param {string} [options.api_key] - API key
+ * @param {string} [options.signing_secret] - HMAC signing secret
+ * @param {Object} [options.headers] - Additional headers
+ * @param {number} [options.timeout=10000] - Timeout in milliseconds
+ * @param {string} [options.traceparent] - W3C trace context to propagate
+ * @param {Function} [options.logger] - Logger function
+ * @returns {Promise<Object>} Response data
+ */
+async function send_event(events_url, event, options = {}) {
+    const result = await request({
+        url: events_url,
+        method: 'POST',
+        data: event,
+        headers: options.headers || {},
+        api_key: options.api_key,
+        signing_secret: options.signing_secret,
+        timeout: options.timeout || 10000,
+        traceparent: options.traceparent,
+        logger: options.logger
+    });
+
+    return result.data;
+}
+
 /**
  * Verify a recipient with the Phoenix app
  * @param {string} verify_url - Verification URL
@@ -171,6 +217,7 @@ async function send_webhook(webhook_url, data, options = {}) {
  * @param {Object} options - Additional options
  * @param {string} [options.api_key] - API key
  * @param {number} [options.timeout=5000] - Timeout in milliseconds
+ * @param {string} [options.traceparent] - W3C trace context to propagate
  * @param {Function} [options.logger] - Logger function
  * @returns {Promise<boolean>} True if recipient exists
  */
@@ -182,6 +229,7 @@ async function verify_recipient(verify_url, email, options = {}) {
             data: { email: email },
             api_key: options.api_key,
             timeout: options.timeout || 5000,
+            traceparent: options.traceparent,
             logger: options.logger
         });
         
@@ -235,6 +283,7 @@ async function fetch_domains(domains_url, options = {}) {
 module.exports = {
     request,
     send_webhook,
+    send_event,
     verify_recipient,
     fetch_domains
 };
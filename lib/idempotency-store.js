@@ -0,0 +1,125 @@
+/**
+ * Idempotency Store Module
+ *
+ * Remembers Idempotency-Key -> response mappings in Redis so that a client
+ * retrying a send after a timeout gets the original result instead of a
+ * second message. A short-lived "pending" marker guards against concurrent
+ * retries racing each other while the first request is still in flight.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// How long a pending marker survives if the process dies mid-request
+const PENDING_TTL_SEC = 300;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Validate a client-supplied Idempotency-Key header value
+ * @param {string} value - Header value
+ * @returns {string|null} Normalized key or null when invalid
+ */
+function normalize_key(value) {
+    const key = String(value || '').trim();
+    if (!key || key.length > MAX_KEY_LENGTH) return null;
+    if (!/^[\x21-\x7e]+$/.test(key)) return null;
+    return key;
+}
+
+/**
+ * Fingerprint a request body so key reuse with a different payload is detected
+ * @param {string} body - Raw request body
+ * @returns {string} Hex SHA-256 digest
+ */
+function fingerprint(body) {
+    return crypto.createHash('sha256').update(String(body || '')).digest('hex');
+}
+
+class IdempotencyStore {
+    constructor(queue_client, cfg, logger) {
+        this.queue_client = queue_client;
+        this.cfg = cfg;
+        this.logger = logger;
+    }
+
+    key(idempotency_key, scope = 'default') {
+        const digest = crypto.createHash('sha256').update(`${scope}:${idempotency_key}`).digest('hex');
+        return `${this.cfg.idempotency_key_prefix}:${digest}`;
+    }
+
+    /**
+     * Claim an idempotency key for a new request
+     * @param {string} idempotency_key - Client key
+     * @param {string} request_fingerprint - Fingerprint of the request body
+     * @param {string} [scope] - Caller scope (keys are not shared between callers)
+     * @returns {Promise<Object>} `{state: 'new'|'in_progress'|'mismatch'|'completed', response?}`
+     */
+    async begin(idempotency_key, request_fingerprint, scope) {
+        const client = await this.queue_client.get_client();
+        const key = this.key(idempotency_key, scope);
+
+        const claimed = await client.set(key, JSON.stringify({
+            status: 'pending',
+            fingerprint: request_fingerprint,
+            started_at: new Date().toISOString()
+        }), { NX: true, EX: PENDING_TTL_SEC });
+
+        if (claimed) return { state: 'new' };
+
+        const existing_raw = await client.get(key);
+        if (!existing_raw) {
+            // Expired between SET NX and GET; let the caller retry cleanly.
+            return { state: 'in_progress' };
+        }
+
+        let existing;
+        try {
+            existing = JSON.parse(existing_raw);
+        } catch (err) {
+            this.logger.warn('idempotency_record_corrupt', { key });
+            return { state: 'in_progress' };
+        }
+
+        if (existing.fingerprint !== request_fingerprint) return { state: 'mismatch' };
+        if (existing.status !== 'completed') return { state: 'in_progress' };
+
+        return { state: 'completed', response: existing.response };
+    }
+
+    /**
+     * Store the final response for a claimed key
+     * @param {string} idempotency_key - Client key
+     * @param {string} request_fingerprint - Fingerprint of the request body
+     * @param {Object} response - `{status, body}` returned to the client
+     * @param {string} [scope] - Caller scope
+     * @returns {Promise<void>}
+     */
+    async complete(idempotency_key, request_fingerprint, response, scope) {
+        const client = await this.queue_client.get_client();
+        await client.set(this.key(idempotency_key, scope), JSON.stringify({
+            status: 'completed',
+            fingerprint: request_fingerprint,
+            completed_at: new Date().toISOString(),
+            response
+        }), { EX: this.cfg.idempotency_ttl_sec });
+    }
+
+    /**
+     * Forget a claimed key so that the client may retry
+     * @param {string} idempotency_key - Client key
+     * @param {string} [scope] - Caller scope
+     * @returns {Promise<void>}
+     */
+    async release(idempotency_key, scope) {
+        const client = await this.queue_client.get_client();
+        await client.del(this.key(idempotency_key, scope));
+    }
+}
+
+module.exports = {
+    IdempotencyStore,
+    normalize_key,
+    fingerprint
+};
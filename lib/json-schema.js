@@ -0,0 +1,138 @@
+/**
+ * Minimal JSON Schema Validator
+ *
+ * Validates request bodies against the subset of JSON Schema used by the
+ * HTTP API's OpenAPI document: type (single or list), required, properties,
+ * additionalProperties, items, enum, pattern, minLength/maxLength,
+ * minimum/maximum, minItems/maxItems and minProperties.
+ *
+ * Errors are returned as `{code, field, message}` objects where `field` is a
+ * path such as `recipients[2].to` (empty for the document root).
+ */
+
+'use strict';
+
+function type_of(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matches_type(value, type) {
+    const actual = type_of(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function join_path(parent, key) {
+    if (typeof key === 'number') return `${parent}[${key}]`;
+    return parent ? `${parent}.${key}` : key;
+}
+
+function describe(field) {
+    return field || 'request body';
+}
+
+function validate_node(schema, value, field, errors) {
+    if (!schema) return;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => matches_type(value, type))) {
+            errors.push({
+                code: 'invalid_type',
+                field,
+                message: `${describe(field)} must be of type ${types.join(' or ')}`
+            });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({
+            code: 'invalid_value',
+            field,
+            message: `${describe(field)} must be one of: ${schema.enum.join(', ')}`
+        });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({
+                code: schema.minLength === 1 ? 'empty' : 'too_short',
+                field,
+                message: `${describe(field)} must be at least ${schema.minLength} character(s)`
+            });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ code: 'too_long', field, message: `${describe(field)} must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ code: 'invalid_format', field, message: `${describe(field)} has an invalid format` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ code: 'too_small', field, message: `${describe(field)} must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ code: 'too_large', field, message: `${describe(field)} must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ code: 'too_few_items', field, message: `${describe(field)} must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ code: 'too_many_items', field, message: `${describe(field)} must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validate_node(schema.items, item, join_path(field, index), errors));
+        }
+    }
+
+    if (type_of(value) === 'object') {
+        const properties = schema.properties || {};
+
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null) {
+                errors.push({ code: 'required', field: join_path(field, name), message: `${join_path(field, name)} is required` });
+            }
+        }
+
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            errors.push({ code: 'too_few_properties', field, message: `${describe(field)} must not be empty` });
+        }
+
+        for (const [name, child] of Object.entries(value)) {
+            const child_field = join_path(field, name);
+
+            if (properties[name]) {
+                if (child !== undefined && child !== null) validate_node(properties[name], child, child_field, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ code: 'unknown_field', field: child_field, message: `${child_field} is not a recognized field` });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validate_node(schema.additionalProperties, child, child_field, errors);
+            }
+        }
+    }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema (subset, see module doc)
+ * @param {*} value - Parsed JSON value
+ * @returns {Object[]} Validation errors (empty when valid)
+ */
+function validate(schema, value) {
+    const errors = [];
+    validate_node(schema, value, '', errors);
+    return errors;
+}
+
+module.exports = {
+    validate
+};
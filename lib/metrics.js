@@ -0,0 +1,315 @@
+/**
+ * Prometheus Metrics Registry
+ *
+ * Counters, gauges and histograms shared by the plugins and the worker,
+ * rendered in the Prometheus text exposition format (version 0.0.4).
+ *
+ * Metrics are declared once per name: declaring a name again returns the
+ * existing metric, so plugins can declare what they use in register() and
+ * survive a config reload. A metric declared with `collect` is read from
+ * that callback at render time instead of being updated in place; the
+ * callback of the latest declaration wins, so a reloaded plugin reports its
+ * own state rather than that of the instance it replaced.
+ *
+ * The HTTP API serves the process registry on /metrics. Processes without
+ * it (the worker, inbound-mx and submission roles) can call serve() to
+ * expose the registry on a port of their own.
+ */
+
+'use strict';
+
+const http = require('http');
+
+// Seconds; covers a fast Redis push up to a webhook running into its timeout
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+function escape_label_value(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function format_labels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escape_label_value(value)}"`).join(',')}}`;
+}
+
+function format_value(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function label_key(label_names, labels) {
+    return JSON.stringify(label_names.map((name) => (labels && labels[name] !== undefined ? String(labels[name]) : '')));
+}
+
+function pick_labels(label_names, labels) {
+    const picked = {};
+    for (const name of label_names) {
+        picked[name] = labels && labels[name] !== undefined ? String(labels[name]) : '';
+    }
+    return picked;
+}
+
+// inc(5), inc({outcome: 'ok'}) and inc({outcome: 'ok'}, 5) are all accepted
+function split_args(labels, value, default_value) {
+    if (typeof labels === 'number') return [{}, labels];
+    return [labels || {}, value === undefined ? default_value : value];
+}
+
+function create_series_metric(type, name, help, options) {
+    const label_names = options.labels || [];
+    const series = new Map();
+    let collect = options.collect || null;
+
+    const get_series = (labels) => {
+        const key = label_key(label_names, labels);
+        if (!series.has(key)) {
+            series.set(key, { labels: pick_labels(label_names, labels), value: 0 });
+        }
+        return series.get(key);
+    };
+
+    const metric = {
+        type,
+        name,
+        help,
+        inc(labels, value) {
+            const [picked, amount] = split_args(labels, value, 1);
+            if (type === 'counter' && amount < 0) {
+                throw new Error(`Counter ${name} cannot be decreased`);
+            }
+            get_series(picked).value += amount;
+        },
+        get(labels = {}) {
+            const entry = series.get(label_key(label_names, labels));
+            return entry ? entry.value : 0;
+        },
+        reset() {
+            series.clear();
+        },
+        collect_from(callback) {
+            collect = callback;
+        },
+        samples() {
+            if (collect) {
+                const collected = collect();
+                const list = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+                return list.map((sample) => ({ name, labels: sample.labels || {}, value: Number(sample.value) || 0 }));
+            }
+            if (series.size === 0 && label_names.length === 0) {
+                return [{ name, labels: {}, value: 0 }];
+            }
+            return Array.from(series.values()).map((entry) => ({ name, labels: entry.labels, value: entry.value }));
+        }
+    };
+
+    if (type === 'gauge') {
+        metric.dec = (labels, value) => {
+            const [picked, amount] = split_args(labels, value, 1);
+            get_series(picked).value -= amount;
+        };
+        metric.set = (labels, value) => {
+            const [picked, amount] = split_args(labels, value, 0);
+            get_series(picked).value = amount;
+        };
+    }
+
+    return metric;
+}
+
+function create_histogram(name, help, options) {
+    const label_names = options.labels || [];
+    const buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    const series = new Map();
+
+    const get_series = (labels) => {
+        const key = label_key(label_names, labels);
+        if (!series.has(key)) {
+            series.set(key, {
+                labels: pick_labels(label_names, labels),
+                counts: buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            });
+        }
+        return series.get(key);
+    };
+
+    const observe = (labels, value) => {
+        const [picked, amount] = split_args(labels, value, 0);
+        const entry = get_series(picked);
+        buckets.forEach((bound, index) => {
+            if (amount <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += amount;
+        entry.count += 1;
+    };
+
+    return {
+        type: 'histogram',
+        name,
+        help,
+        observe,
+        /**
+         * Start timing an operation
+         * @param {Object} [labels] - Labels known up front
+         * @returns {Function} Call with any further labels to record the elapsed seconds
+         */
+        start_timer(labels = {}) {
+            const started = process.hrtime.bigint();
+            return (end_labels = {}) => {
+                const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+                observe({ ...labels, ...end_labels }, seconds);
+                return seconds;
+            };
+        },
+        reset() {
+            series.clear();
+        },
+        samples() {
+            const samples = [];
+            for (const entry of series.values()) {
+                buckets.forEach((bound, index) => {
+                    samples.push({ name: `${name}_bucket`, labels: { ...entry.labels, le: format_value(bound) }, value: entry.counts[index] });
+                });
+                samples.push({ name: `${name}_bucket`, labels: { ...entry.labels, le: '+Inf' }, value: entry.count });
+                samples.push({ name: `${name}_sum`, labels: entry.labels, value: entry.sum });
+                samples.push({ name: `${name}_count`, labels: entry.labels, value: entry.count });
+            }
+            return samples;
+        }
+    };
+}
+
+/**
+ * Create a metrics registry
+ * @returns {Object} Registry with counter(), gauge(), histogram() and render()
+ */
+function create_registry() {
+    const metrics = new Map();
+
+    const declare = (type, name, help, options, factory) => {
+        const existing = metrics.get(name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+            }
+            if (options.collect && existing.collect_from) existing.collect_from(options.collect);
+            return existing;
+        }
+        const metric = factory();
+        metrics.set(name, metric);
+        return metric;
+    };
+
+    return {
+        /**
+         * Declare a counter
+         * @param {string} name - Metric name, ending in _total
+         * @param {string} help - HELP text
+         * @param {Object} [options] - `{labels, collect}`
+         * @returns {Object} Counter with inc() and get()
+         */
+        counter(name, help, options = {}) {
+            return declare('counter', name, help, options, () => create_series_metric('counter', name, help, options));
+        },
+
+        /**
+         * Declare a gauge
+         * @param {string} name - Metric name
+         * @param {string} help - HELP text
+         * @param {Object} [options] - `{labels, collect}`
+         * @returns {Object} Gauge with set(), inc(), dec() and get()
+         */
+        gauge(name, help, options = {}) {
+            return declare('gauge', name, help, options, () => create_series_metric('gauge', name, help, options));
+        },
+
+        /**
+         * Declare a histogram
+         * @param {string} name - Metric name, ending in the unit (_seconds)
+         * @param {string} help - HELP text
+         * @param {Object} [options] - `{labels, buckets}`
+         * @returns {Object} Histogram with observe() and start_timer()
+         */
+        histogram(name, help, options = {}) {
+            return declare('histogram', name, help, options, () => create_histogram(name, help, options));
+        },
+
+        get(name) {
+            return metrics.get(name) || null;
+        },
+
+        /**
+         * Render every metric in the text exposition format
+         * @returns {string} Exposition text
+         */
+        render() {
+            const lines = [];
+            for (const metric of metrics.values()) {
+                lines.push(`# HELP ${metric.name} ${metric.help}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+                for (const sample of metric.samples()) {
+                    lines.push(`${sample.name}${format_labels(sample.labels)} ${format_value(sample.value)}`);
+                }
+            }
+            return `${lines.join('\n')}\n`;
+        }
+    };
+}
+
+// Shared by every plugin loaded into one Haraka process
+const registry = create_registry();
+
+let server = null;
+
+/**
+ * Expose a registry on its own HTTP port (GET /metrics)
+ * @param {Object} options - Options
+ * @param {number} options.port - Port to listen on; 0 disables
+ * @param {string} options.host - Address to bind
+ * @param {Object} [options.registry] - Registry to serve (default: the shared one)
+ * @param {Object} [options.logger] - Telemetry logger
+ * @returns {http.Server|null} The server, or null when disabled; one per process
+ */
+function serve(options) {
+    if (!options.port) return null;
+    if (server) return server;
+
+    const target = options.registry || registry;
+    const logger = options.logger;
+
+    server = http.createServer((req, res) => {
+        const request_path = (req.url || '').split('?')[0];
+        if (req.method !== 'GET' || request_path !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+        res.end(target.render());
+    });
+
+    server.on('error', (err) => {
+        if (logger) logger.error('metrics_listen_failed', { port: options.port, host: options.host, message: err.message });
+    });
+
+    server.listen(options.port, options.host, () => {
+        if (logger) logger.info('metrics_listening', { port: options.port, host: options.host });
+    });
+
+    // Never keep a process alive just to answer scrapes
+    server.unref();
+    return server;
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS,
+    create_registry,
+    registry,
+    serve
+};
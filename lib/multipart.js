@@ -0,0 +1,259 @@
+/**
+ * Streaming multipart/form-data Reader
+ *
+ * Reads a multipart/form-data request without buffering it: small field
+ * parts are collected in memory (capped), file parts are written straight to
+ * a spool directory. A SHA-256 of the raw request body is computed on the
+ * way so that signed requests can be verified without keeping the body.
+ *
+ * The caller owns the spooled files and must call `cleanup()` once the
+ * message has been queued or the request has failed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const api_errors = require('./api-errors');
+
+const MAX_PART_HEADER_BYTES = 16 * 1024;
+const DEFAULT_MAX_FIELD_BYTES = 1024 * 1024;
+const DEFAULT_MAX_FILES = 100;
+
+/**
+ * Extract the boundary of a multipart/form-data Content-Type
+ * @param {string} content_type - Content-Type header value
+ * @returns {string|null} Boundary, or null when the type is not multipart/form-data
+ */
+function get_boundary(content_type) {
+    const value = String(content_type || '');
+    if (!/^\s*multipart\/form-data\s*;/i.test(value)) return null;
+
+    const match = value.match(/;\s*boundary=(?:"([^"]{1,70})"|([^\s;]{1,70}))/i);
+    return match ? (match[1] || match[2]) : null;
+}
+
+function parse_part_headers(block) {
+    const headers = {};
+    for (const line of block.split('\r\n')) {
+        const colon = line.indexOf(':');
+        if (colon <= 0) continue;
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+
+    const disposition = headers['content-disposition'] || '';
+    const param = (name) => {
+        const match = disposition.match(new RegExp(`;\\s*${name}="((?:[^"\\\\]|\\\\.)*)"`, 'i'))
+            || disposition.match(new RegExp(`;\\s*${name}=([^;\\s]+)`, 'i'));
+        return match ? match[1].replace(/\\(.)/g, '$1') : null;
+    };
+
+    return {
+        name: param('name'),
+        filename: param('filename'),
+        content_type: headers['content-type'] || null
+    };
+}
+
+function write_chunk(stream, chunk) {
+    return new Promise((resolve, reject) => {
+        const on_error = (err) => reject(err);
+        stream.once('error', on_error);
+        const ready = stream.write(chunk, () => {
+            stream.removeListener('error', on_error);
+            if (ready) resolve();
+        });
+        if (!ready) stream.once('drain', resolve);
+    });
+}
+
+function close_stream(stream) {
+    return new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        stream.end(resolve);
+    });
+}
+
+/**
+ * Read a multipart/form-data request into memory fields and spooled files
+ * @param {stream.Readable} req - Request stream
+ * @param {Object} options - Options
+ * @param {string} options.boundary - Boundary from get_boundary()
+ * @param {string} options.spool_dir - Directory for file parts
+ * @param {number} options.max_bytes - Maximum raw request size
+ * @param {number} [options.max_field_bytes] - Maximum size of one field part
+ * @param {number} [options.max_files] - Maximum number of file parts
+ * @param {number} [options.idle_timeout_ms] - Abort when no data arrives for this long
+ * @returns {Promise<Object>} `{fields, files, body_sha256, cleanup}`; files are
+ *   `{field, filename, content_type, path, size, sha256}`
+ */
+async function read_multipart(req, options) {
+    const delimiter = Buffer.from(`\r\n--${options.boundary}`);
+    const max_field_bytes = options.max_field_bytes || DEFAULT_MAX_FIELD_BYTES;
+    const max_files = options.max_files || DEFAULT_MAX_FILES;
+    const body_hash = crypto.createHash('sha256');
+
+    const fields = {};
+    const files = [];
+    const cleanup = () => {
+        for (const file of files) {
+            fs.unlink(file.path, () => {});
+        }
+    };
+
+    // The first delimiter has no leading CRLF; pretend it does.
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+    let total = 0;
+    let idle_timer = null;
+
+    const reset_idle = () => {
+        if (!options.idle_timeout_ms) return;
+        clearTimeout(idle_timer);
+        idle_timer = setTimeout(() => req.destroy(api_errors.create('request_timeout')), options.idle_timeout_ms);
+    };
+
+    const open_part = async (headers) => {
+        if (headers.filename !== null) {
+            if (files.length >= max_files) {
+                throw api_errors.create('invalid_request', `Too many file parts (max ${max_files})`);
+            }
+            await fs.promises.mkdir(options.spool_dir, { recursive: true, mode: 0o700 });
+            const file = {
+                field: headers.name,
+                filename: headers.filename,
+                content_type: headers.content_type,
+                path: path.join(options.spool_dir, `upload-${crypto.randomUUID()}`),
+                size: 0,
+                sha256: null
+            };
+            files.push(file);
+            return {
+                ...headers,
+                file,
+                hash: crypto.createHash('sha256'),
+                stream: fs.createWriteStream(file.path, { mode: 0o600 })
+            };
+        }
+        if (!headers.name) {
+            throw api_errors.create('invalid_request', 'Multipart field without a name');
+        }
+        return { ...headers, chunks: [], size: 0 };
+    };
+
+    const append = async (data) => {
+        if (data.length === 0) return;
+        if (part.stream) {
+            part.file.size += data.length;
+            part.hash.update(data);
+            await write_chunk(part.stream, data);
+            return;
+        }
+        part.size += data.length;
+        if (part.size > max_field_bytes) {
+            throw api_errors.create('body_too_large', `Multipart field ${part.name} is too large`);
+        }
+        part.chunks.push(data);
+    };
+
+    const close_part = async () => {
+        if (part.stream) {
+            await close_stream(part.stream);
+            part.file.sha256 = part.hash.digest('hex');
+        } else {
+            fields[part.name] = Buffer.concat(part.chunks).toString('utf8');
+        }
+        part = null;
+    };
+
+    const consume = async () => {
+        for (;;) {
+            if (state === 'preamble' || state === 'body') {
+                const index = buffer.indexOf(delimiter);
+                if (index < 0) {
+                    // Keep enough bytes to recognise a delimiter split across chunks
+                    const keep = Math.min(buffer.length, delimiter.length - 1);
+                    if (state === 'body') await append(buffer.subarray(0, buffer.length - keep));
+                    buffer = buffer.subarray(buffer.length - keep);
+                    return;
+                }
+                if (state === 'body') {
+                    await append(buffer.subarray(0, index));
+                    await close_part();
+                }
+                buffer = buffer.subarray(index + delimiter.length);
+                state = 'delimiter';
+            }
+
+            if (state === 'delimiter') {
+                if (buffer.length < 2) return;
+                if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+                    state = 'end';
+                    buffer = Buffer.alloc(0);
+                    return;
+                }
+                const line_end = buffer.indexOf('\r\n');
+                if (line_end < 0) {
+                    if (buffer.length > 256) throw api_errors.create('invalid_request', 'Malformed multipart delimiter');
+                    return;
+                }
+                // Only transport padding may follow a delimiter
+                if (buffer.subarray(0, line_end).toString('latin1').trim() !== '') {
+                    throw api_errors.create('invalid_request', 'Malformed multipart delimiter');
+                }
+                buffer = buffer.subarray(line_end + 2);
+                state = 'headers';
+            }
+
+            if (state === 'headers') {
+                const header_end = buffer.indexOf('\r\n\r\n');
+                if (header_end < 0) {
+                    if (buffer.length > MAX_PART_HEADER_BYTES) {
+                        throw api_errors.create('invalid_request', 'Multipart part headers too large');
+                    }
+                    return;
+                }
+                part = await open_part(parse_part_headers(buffer.subarray(0, header_end).toString('utf8')));
+                buffer = buffer.subarray(header_end + 4);
+                state = 'body';
+            }
+
+            if (state === 'end') return;
+        }
+    };
+
+    try {
+        reset_idle();
+        for await (const chunk of req) {
+            reset_idle();
+            total += chunk.length;
+            if (total > options.max_bytes) {
+                throw api_errors.create('body_too_large');
+            }
+            body_hash.update(chunk);
+            if (state === 'end') continue;
+
+            buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+            await consume();
+        }
+
+        if (state !== 'end') {
+            throw api_errors.create('invalid_request', 'Multipart body ended before the closing delimiter');
+        }
+    } catch (err) {
+        if (part && part.stream) part.stream.destroy();
+        cleanup();
+        throw err.code && err.status ? err : api_errors.create('invalid_request', `Failed to read multipart body: ${err.message}`);
+    } finally {
+        clearTimeout(idle_timer);
+    }
+
+    return { fields, files, body_sha256: body_hash.digest('hex'), cleanup };
+}
+
+module.exports = {
+    get_boundary,
+    read_multipart
+};
@@ -0,0 +1,409 @@
+/**
+ * HTTP API OpenAPI Document
+ *
+ * Request schemas for the outbound HTTP API and the OpenAPI 3.0 document
+ * served at /api/v1/openapi.json. The same schemas are used to validate
+ * request bodies before they are dispatched, so the published document and
+ * the enforced rules cannot drift apart.
+ */
+
+'use strict';
+
+const api_errors = require('./api-errors');
+const calendar = require('./calendar');
+
+const ADDRESS_LIST = {
+    type: ['string', 'array'],
+    description: 'One address, a comma-separated list, or an array of addresses',
+    minLength: 1,
+    minItems: 1,
+    items: { type: 'string', minLength: 1 }
+};
+
+const CALENDAR_PERSON = {
+    type: 'object',
+    required: ['email'],
+    additionalProperties: false,
+    properties: {
+        email: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        role: { type: 'string', enum: calendar.ROLES },
+        partstat: { type: 'string', enum: calendar.PARTSTATS },
+        rsvp: { type: 'boolean' }
+    }
+};
+
+const MESSAGE_PROPERTIES = {
+    from: { type: 'string', minLength: 1, description: 'Sender, optionally with display name' },
+    to: ADDRESS_LIST,
+    cc: ADDRESS_LIST,
+    bcc: ADDRESS_LIST,
+    reply_to: { type: 'string' },
+    subject: { type: 'string' },
+    text_body: { type: 'string' },
+    text: { type: 'string', description: 'Alias of text_body' },
+    body: { type: 'string', description: 'Alias of text_body' },
+    html_body: { type: 'string' },
+    html: { type: 'string', description: 'Alias of html_body' },
+    headers: {
+        type: 'object',
+        description: 'Extra message headers',
+        additionalProperties: { type: ['string', 'number', 'boolean'] }
+    },
+    attachments: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['data'],
+            properties: {
+                filename: { type: 'string' },
+                content_type: { type: 'string' },
+                data: { type: 'string', description: 'Base64-encoded content' },
+                content_id: {
+                    type: 'string',
+                    maxLength: 250,
+                    pattern: '^<?[^<>\\s]+>?$',
+                    description: 'Content-ID the HTML body refers to as cid:<content_id>'
+                },
+                inline: {
+                    type: 'boolean',
+                    description: 'Show inside the HTML body (multipart/related); requires content_id'
+                }
+            }
+        }
+    },
+    calendar: {
+        type: 'object',
+        description: 'Meeting request, reply or cancellation, sent as text/calendar plus invite.ics',
+        required: ['method', 'uid'],
+        additionalProperties: false,
+        properties: {
+            method: { type: 'string', enum: calendar.METHODS },
+            uid: { type: 'string', minLength: 1, maxLength: 255, description: 'Stays the same across updates of one event' },
+            sequence: { type: 'integer', minimum: 0, description: 'Revision; increase it with every update' },
+            summary: { type: 'string' },
+            description: { type: 'string' },
+            location: { type: 'string' },
+            url: { type: 'string' },
+            start: { type: 'string', description: 'YYYY-MM-DD for all-day events, or ISO 8601 with a zone offset' },
+            end: { type: 'string', description: 'Same form as start' },
+            rrule: { type: 'string', description: 'Recurrence rule, such as FREQ=WEEKLY;COUNT=10' },
+            status: { type: 'string', enum: calendar.STATUSES },
+            organizer: { ...CALENDAR_PERSON, description: 'Defaults to the sender' },
+            attendees: { type: 'array', items: CALENDAR_PERSON }
+        }
+    },
+    smime: {
+        type: 'object',
+        description: 'S/MIME protection, applied before DKIM signing',
+        additionalProperties: false,
+        properties: {
+            sign: { type: 'boolean', description: 'Sign with the stored certificate of the sender' },
+            encrypt: { type: 'boolean', description: 'Encrypt for every recipient (to, cc and bcc)' },
+            certificates: {
+                type: 'array',
+                description: 'PEM certificates of recipients without a stored certificate',
+                items: { type: 'string', pattern: '-----BEGIN CERTIFICATE-----' }
+            }
+        }
+    }
+};
+
+const ERROR_ITEM = {
+    type: 'object',
+    required: ['code', 'field', 'message'],
+    properties: {
+        code: { type: 'string' },
+        field: { type: 'string', description: 'Path of the offending field, empty for the whole body' },
+        message: { type: 'string' }
+    }
+};
+
+/**
+ * Build the request body schemas
+ * @param {Object} cfg - Loaded configuration (batch_max_items)
+ * @returns {Object} Schemas keyed by name
+ */
+function build_schemas(cfg) {
+    return {
+        SendRequest: {
+            type: 'object',
+            required: ['from', 'to'],
+            properties: {
+                ...MESSAGE_PROPERTIES,
+                raw: {
+                    type: 'string',
+                    description: 'Complete RFC 5322 message; line endings, Date, Message-ID and long headers are repaired and reported as raw_changes'
+                },
+                raw_base64: { type: 'string', description: 'Base64-encoded RFC 5322 message, sanitised like raw' },
+                send_at: {
+                    type: ['string', 'integer'],
+                    description: 'ISO 8601 timestamp or Unix seconds to send later'
+                }
+            }
+        },
+        BatchSendRequest: {
+            type: 'object',
+            required: ['template', 'recipients'],
+            properties: {
+                template: {
+                    type: 'object',
+                    required: ['from'],
+                    properties: MESSAGE_PROPERTIES
+                },
+                recipients: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: cfg.batch_max_items,
+                    items: {
+                        type: 'object',
+                        required: ['to'],
+                        properties: {
+                            to: ADDRESS_LIST,
+                            cc: ADDRESS_LIST,
+                            bcc: ADDRESS_LIST,
+                            variables: { type: 'object', description: 'Values for {{placeholders}}' }
+                        }
+                    }
+                }
+            }
+        },
+        DkimUpsertRequest: {
+            type: 'object',
+            required: ['selector', 'private_key'],
+            properties: {
+                selector: {
+                    type: 'string',
+                    pattern: '^[A-Za-z0-9](?:[A-Za-z0-9._-]{0,61}[A-Za-z0-9])?$'
+                },
+                private_key: {
+                    type: 'string',
+                    pattern: '-----BEGIN[\\s\\S]*PRIVATE KEY-----',
+                    description: 'PEM-encoded private key'
+                }
+            }
+        },
+        SmimeUpsertRequest: {
+            type: 'object',
+            required: ['certificate', 'private_key'],
+            additionalProperties: false,
+            properties: {
+                certificate: {
+                    type: 'string',
+                    pattern: '-----BEGIN CERTIFICATE-----',
+                    description: 'PEM certificate issued for the sender address'
+                },
+                private_key: {
+                    type: 'string',
+                    pattern: '-----BEGIN[\\s\\S]*PRIVATE KEY-----',
+                    description: 'PEM private key of the certificate'
+                },
+                chain: { type: 'string', description: 'PEM intermediate certificates, sent along with signatures' }
+            }
+        },
+        Error: {
+            type: 'object',
+            required: ['success', 'error'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                error: { type: 'string', description: 'Human-readable; may change' },
+                code: { type: 'string', enum: Object.keys(api_errors.CATALOGUE) },
+                request_id: { type: 'string', description: 'Also sent as the X-Request-Id header' },
+                field: { type: 'string', description: 'Offending field, for limit errors' },
+                limit: { type: 'integer', description: 'The limit that was exceeded, for limit errors' },
+                errors: { type: 'array', items: ERROR_ITEM }
+            }
+        }
+    };
+}
+
+function json_body(schema_name) {
+    return {
+        required: true,
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema_name}` } } }
+    };
+}
+
+function responses(codes) {
+    const descriptions = {
+        200: 'OK',
+        202: 'Accepted for later delivery',
+        400: 'Invalid request',
+        401: 'Missing or invalid credentials',
+        403: 'Key lacks the required scope, or the sender is not allowed',
+        404: 'Not found',
+        409: 'Conflict',
+        413: 'Request body too large',
+        422: 'Idempotency-Key reused with a different body, a recipient MX lacks SMTPUTF8, or an S/MIME certificate is missing',
+        429: 'Rate limit or send quota exceeded',
+        503: 'Backing store unavailable'
+    };
+    const result = {};
+
+    for (const code of codes) {
+        result[code] = code < 300
+            ? { description: descriptions[code] }
+            : {
+                description: descriptions[code],
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            };
+    }
+
+    return result;
+}
+
+function path_param(name, description) {
+    return { name, in: 'path', required: true, description, schema: { type: 'string' } };
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} cfg - Loaded configuration
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function build_document(cfg) {
+    const authed = [{ ApiKey: [] }, { Signature: [] }];
+    const message_id = path_param('id', 'message_id returned by POST /api/v1/send');
+    const quota_params = [
+        { name: 'scope', in: 'path', required: true, schema: { type: 'string', enum: ['sender', 'domain'] } },
+        path_param('subject', 'Sender address or domain')
+    ];
+    const dkim_domain = path_param('domain', 'Signing domain');
+    const smime_sender = path_param('address', 'Sender address');
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Elektrine Haraka HTTP API',
+            version: '1.0.0'
+        },
+        security: authed,
+        paths: {
+            '/api/v1/send': {
+                post: {
+                    summary: 'Send one message (scope: send)',
+                    parameters: [{ name: 'Idempotency-Key', in: 'header', required: false, schema: { type: 'string', maxLength: 255 } }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            ...json_body('SendRequest').content,
+                            'multipart/form-data': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['metadata'],
+                                    properties: {
+                                        metadata: { type: 'string', description: 'SendRequest as JSON (send_at, raw and raw_base64 not allowed)' },
+                                        attachments: {
+                                            type: 'array',
+                                            description: 'Any part with a filename is attached',
+                                            items: { type: 'string', format: 'binary' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: responses([200, 202, 400, 401, 403, 409, 413, 422, 429, 503])
+                }
+            },
+            '/api/v1/send/batch': {
+                post: {
+                    summary: 'Send a template to many recipients (scope: send)',
+                    requestBody: json_body('BatchSendRequest'),
+                    responses: responses([200, 400, 401, 403, 429])
+                }
+            },
+            '/api/v1/messages/{id}': {
+                get: {
+                    summary: 'Delivery status of a sent message (scope: send)',
+                    parameters: [message_id],
+                    responses: responses([200, 401, 403, 404, 503])
+                }
+            },
+            '/api/v1/scheduled/{id}': {
+                get: {
+                    summary: 'Inspect a scheduled send (scope: send)',
+                    parameters: [message_id],
+                    responses: responses([200, 401, 403, 404, 503])
+                },
+                delete: {
+                    summary: 'Cancel a scheduled send (scope: send)',
+                    parameters: [message_id],
+                    responses: responses([200, 401, 403, 404, 409, 503])
+                }
+            },
+            '/api/v1/quotas/{scope}/{subject}': {
+                get: {
+                    summary: 'Current send quota usage (scope: ops:read)',
+                    parameters: quota_params,
+                    responses: responses([200, 401, 403, 503])
+                },
+                delete: {
+                    summary: 'Reset send quota counters (scope: ops:write)',
+                    parameters: quota_params,
+                    responses: responses([200, 401, 403, 503])
+                }
+            },
+            '/api/v1/dkim/domains/{domain}': {
+                get: {
+                    summary: 'Installed DKIM key of a domain (scope: dkim:read)',
+                    parameters: [dkim_domain],
+                    responses: responses([200, 401, 403, 404])
+                },
+                put: {
+                    summary: 'Install or replace a DKIM key (scope: dkim:write)',
+                    parameters: [dkim_domain],
+                    requestBody: json_body('DkimUpsertRequest'),
+                    responses: responses([200, 400, 401, 403])
+                },
+                delete: {
+                    summary: 'Remove a DKIM key (scope: dkim:write)',
+                    parameters: [dkim_domain],
+                    responses: responses([200, 401, 403, 404])
+                }
+            },
+            '/api/v1/smime/senders/{address}': {
+                get: {
+                    summary: 'Stored S/MIME certificate of a sender (scope: smime:read)',
+                    parameters: [smime_sender],
+                    responses: responses([200, 401, 403, 404])
+                },
+                put: {
+                    summary: 'Store or replace the S/MIME certificate and key of a sender (scope: smime:write)',
+                    parameters: [smime_sender],
+                    requestBody: json_body('SmimeUpsertRequest'),
+                    responses: responses([200, 400, 401, 403])
+                },
+                delete: {
+                    summary: 'Remove the S/MIME certificate and key of a sender (scope: smime:write)',
+                    parameters: [smime_sender],
+                    responses: responses([200, 401, 403])
+                }
+            },
+            '/api/v1/openapi.json': {
+                get: {
+                    summary: 'This document',
+                    responses: responses([200, 401])
+                }
+            }
+        },
+        components: {
+            securitySchemes: {
+                ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                Signature: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-Elektrine-Signature',
+                    description: 'v1=<hex HMAC-SHA256 of "<timestamp>\\n<METHOD>\\n<path>\\n<hex sha256(body)>">, '
+                        + 'sent with X-Elektrine-Key-Id and X-Elektrine-Timestamp'
+                }
+            },
+            schemas: build_schemas(cfg)
+        }
+    };
+}
+
+module.exports = {
+    build_schemas,
+    build_document
+};
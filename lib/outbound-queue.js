@@ -0,0 +1,203 @@
+/**
+ * Haraka Outbound Queue Reader
+ *
+ * Read-only view of Haraka's outbound queue directory for the ops routes.
+ * Each queue file starts with a 4-byte big-endian length and the JSON
+ * "todo" (envelope, delivery domain, notes), followed by the message.
+ * Attempt counts and the next attempt time are encoded in the file name.
+ *
+ * Retrying, dropping and bouncing need Haraka's in-process queues and live
+ * in the HTTP API plugin; this module only finds and describes items.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_TODO_BYTES = 1024 * 1024;
+
+// Haraka file names are <arrival>_<next_attempt>_<attempts>_<pid>_<uid>_<counter>_<host>,
+// with _ : and \ in the host name escaped as \137 \072 \057
+const ITEM_ID_RE = /^[0-9]+_[0-9]+_[0-9]+_[0-9]+_[A-Za-z0-9._\\-]+$/;
+
+/**
+ * Check that a string is a queue file name (and so safe to join to the queue dir)
+ * @param {string} id - Candidate item ID
+ * @returns {boolean} True for a well-formed queue file name
+ */
+function is_item_id(id) {
+    return typeof id === 'string' && id.length <= 255 && ITEM_ID_RE.test(id);
+}
+
+/**
+ * Parse the fields Haraka encodes in a queue file name
+ * @param {string} id - Queue file name
+ * @returns {Object|null} `{arrival, next_attempt, attempts, pid}` (times in epoch ms)
+ */
+function parse_item_id(id) {
+    if (!is_item_id(id)) return null;
+
+    const [arrival, next_attempt, attempts, pid] = id.split('_');
+    return {
+        arrival: Number(arrival),
+        next_attempt: Number(next_attempt),
+        attempts: Number(attempts),
+        pid: Number(pid)
+    };
+}
+
+/**
+ * Read the todo header of a queue file
+ * @param {string} file_path - Queue file
+ * @returns {Promise<Object>} Parsed todo
+ */
+async function read_todo(file_path) {
+    const handle = await fs.promises.open(file_path, 'r');
+    try {
+        const length_buf = Buffer.alloc(4);
+        await handle.read(length_buf, 0, 4, 0);
+        const todo_length = length_buf.readUInt32BE(0);
+        if (todo_length === 0 || todo_length > MAX_TODO_BYTES) {
+            throw new Error(`invalid todo length ${todo_length}`);
+        }
+
+        const todo_buf = Buffer.alloc(todo_length);
+        const { bytesRead } = await handle.read(todo_buf, 0, todo_length, 4);
+        if (bytesRead !== todo_length) {
+            throw new Error('truncated todo');
+        }
+        return JSON.parse(todo_buf.toString('utf8'));
+    } finally {
+        await handle.close();
+    }
+}
+
+function format_address(address) {
+    if (!address) return null;
+    if (typeof address === 'string') return address;
+    if (address.original) return String(address.original).replace(/^<|>$/g, '');
+    return address.user && address.host ? `${address.user}@${address.host}` : null;
+}
+
+/**
+ * Describe one queue item
+ * @param {string} queue_dir - Haraka queue directory
+ * @param {string} id - Queue file name
+ * @returns {Promise<Object|null>} Item, or null when the file is gone
+ */
+async function get_item(queue_dir, id) {
+    const parsed = parse_item_id(id);
+    if (!parsed) return null;
+
+    const file_path = path.join(queue_dir, id);
+    let stat;
+    let todo;
+    try {
+        stat = await fs.promises.stat(file_path);
+        todo = await read_todo(file_path);
+    } catch (err) {
+        // Delivered or renamed by a retry while we were looking
+        if (err.code === 'ENOENT') return null;
+        return {
+            id,
+            state: 'unreadable',
+            error: err.message,
+            attempts: parsed.attempts,
+            pid: parsed.pid
+        };
+    }
+
+    const notes = todo.notes || {};
+    return {
+        id,
+        // attempts counts failed deliveries, so anything above 0 is waiting for a retry
+        state: parsed.attempts > 0 ? 'deferred' : 'queued',
+        queue_id: todo.uuid || null,
+        message_id: notes.elektrine_message_id || null,
+        domain: todo.domain || null,
+        from: format_address(todo.mail_from),
+        recipients: (todo.rcpt_to || []).map(format_address).filter(Boolean),
+        attempts: parsed.attempts,
+        queued_at: new Date(todo.queue_time || parsed.arrival).toISOString(),
+        next_attempt_at: parsed.attempts > 0 ? new Date(parsed.next_attempt).toISOString() : null,
+        size: stat.size,
+        pid: parsed.pid
+    };
+}
+
+/**
+ * List queue items, oldest first
+ * @param {string} queue_dir - Haraka queue directory
+ * @param {Object} [filter] - Filters
+ * @param {string} [filter.domain] - Only this delivery domain
+ * @param {string} [filter.state] - queued or deferred
+ * @param {number} [filter.limit] - Maximum items returned (default 100)
+ * @returns {Promise<Object>} `{total, items}`; total counts every matching item
+ */
+async function list_items(queue_dir, filter = {}) {
+    const limit = filter.limit || 100;
+    const domain = filter.domain ? String(filter.domain).toLowerCase() : null;
+
+    let names;
+    try {
+        names = await fs.promises.readdir(queue_dir);
+    } catch (err) {
+        if (err.code === 'ENOENT') return { total: 0, items: [] };
+        throw err;
+    }
+
+    // State comes from the file name, so only the domain filter needs the todo
+    const ids = names
+        .filter((name) => is_item_id(name))
+        .filter((name) => !filter.state || filter.state === (parse_item_id(name).attempts > 0 ? 'deferred' : 'queued'))
+        .sort((a, b) => parse_item_id(a).arrival - parse_item_id(b).arrival);
+
+    const items = [];
+    let total = domain ? 0 : ids.length;
+    for (const id of ids) {
+        if (!domain && items.length >= limit) break;
+
+        const item = await get_item(queue_dir, id);
+        if (!item) continue;
+        if (domain) {
+            if (String(item.domain || '').toLowerCase() !== domain) continue;
+            total += 1;
+        }
+        if (items.length < limit) items.push(item);
+    }
+
+    return { total, items };
+}
+
+/**
+ * Count queue items from their file names, without reading them
+ * @param {string} queue_dir - Haraka queue directory
+ * @returns {Promise<Object>} `{total, deferred, oldest_arrival}` (epoch ms, null when empty)
+ */
+async function count_items(queue_dir) {
+    const names = await fs.promises.readdir(queue_dir);
+    const counts = { total: 0, deferred: 0, oldest_arrival: null };
+
+    for (const name of names) {
+        const parsed = parse_item_id(name);
+        if (!parsed) continue;
+
+        counts.total += 1;
+        if (parsed.attempts > 0) counts.deferred += 1;
+        if (counts.oldest_arrival === null || parsed.arrival < counts.oldest_arrival) {
+            counts.oldest_arrival = parsed.arrival;
+        }
+    }
+
+    return counts;
+}
+
+module.exports = {
+    is_item_id,
+    parse_item_id,
+    read_todo,
+    get_item,
+    list_items,
+    count_items
+};
@@ -1,49 +1,121 @@
 /**
  * Redis-backed queue helper for async inbound processing.
+ *
+ * Commands are not queued while Redis is unreachable: waiting for a connection
+ * and non-blocking commands are bounded by redis_timeout_ms, so callers see an
+ * error and can fall back instead of hanging until Redis returns.
  */
 
 'use strict';
 
 const { createClient } = require('redis');
 
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/**
+ * Reject when a promise does not settle in time
+ * @param {Promise} promise - Operation to bound
+ * @param {number} timeout_ms - Time limit
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} The operation's result
+ */
+function with_timeout(promise, timeout_ms, message) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeout_ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 class QueueClient {
     constructor(cfg, logger) {
         this.cfg = cfg;
         this.logger = logger;
+        this.timeout_ms = cfg.redis_timeout_ms || DEFAULT_TIMEOUT_MS;
         this.client = null;
         this.connecting = null;
+        this.waiting = null;
     }
 
-    async connect() {
-        if (this.client && this.client.isReady) return;
-        if (this.connecting) return this.connecting;
-
-        this.client = createClient({ url: this.cfg.redis_url });
+    create_client() {
+        const client = createClient({
+            url: this.cfg.redis_url,
+            disableOfflineQueue: true,
+            socket: { connectTimeout: this.timeout_ms }
+        });
 
-        this.client.on('error', (err) => {
+        client.on('error', (err) => {
             this.logger.error('redis_client_error', { message: err.message });
         });
 
-        this.client.on('reconnecting', () => {
+        client.on('reconnecting', () => {
             this.logger.warn('redis_reconnecting');
         });
 
-        this.connecting = this.client.connect()
+        this.client = client;
+        this.connecting = client.connect()
             .then(() => {
                 this.logger.info('redis_connected', { redis_url: this.cfg.redis_url });
             })
+            .catch((err) => {
+                // Reconnection gave up; the next call starts over with a new client
+                if (this.client === client) this.client = null;
+                throw err;
+            })
             .finally(() => {
                 this.connecting = null;
             });
+        // Callers observe failures through their own bounded wait
+        this.connecting.catch(() => {});
+    }
 
-        return this.connecting;
+    // The client reconnects on its own after a dropped connection; wait for it
+    wait_ready() {
+        if (!this.waiting) {
+            const client = this.client;
+            this.waiting = new Promise((resolve) => client.once('ready', resolve))
+                .finally(() => {
+                    this.waiting = null;
+                });
+        }
+        return this.waiting;
     }
 
-    async enqueue(queue_name, payload) {
+    async connect() {
+        if (this.client && this.client.isReady) return;
+        if (!this.client) this.create_client();
+
+        await with_timeout(
+            this.connecting || this.wait_ready(),
+            this.timeout_ms,
+            `Redis not ready within ${this.timeout_ms}ms`
+        );
+    }
+
+    async get_client() {
         await this.connect();
-        await this.client.lPush(queue_name, JSON.stringify(payload));
+        return this.client;
+    }
+
+    /**
+     * Run a non-blocking command, bounded by redis_timeout_ms
+     * @param {Function} command - Receives the connected client and returns a promise
+     * @returns {Promise} Command result
+     */
+    run(command) {
+        return with_timeout(
+            this.get_client().then(command),
+            this.timeout_ms,
+            `Redis command did not complete within ${this.timeout_ms}ms`
+        );
+    }
+
+    async enqueue(queue_name, payload) {
+        await this.run((client) => client.lPush(queue_name, JSON.stringify(payload)));
     }
 
+    // BRPOP blocks by design, so only the wait for a connection is bounded
     async pop(queue_name, timeout_sec) {
         await this.connect();
         const result = await this.client.brPop(queue_name, timeout_sec);
@@ -55,9 +127,27 @@ class QueueClient {
         await this.enqueue(queue_name, payload);
     }
 
+    async depth(queue_name) {
+        return this.run((client) => client.lLen(queue_name));
+    }
+
+    // Entries are pushed on the left and popped from the right, so the oldest is last
+    async peek_oldest(queue_name) {
+        const raw = await this.run((client) => client.lIndex(queue_name, -1));
+        if (raw === null || raw === undefined) return null;
+
+        try {
+            return JSON.parse(raw);
+        } catch (err) {
+            return {};
+        }
+    }
+
     async close() {
-        if (this.client && this.client.isOpen) {
-            await this.client.quit();
+        const client = this.client;
+        this.client = null;
+        if (client && client.isOpen) {
+            await client.quit();
         }
     }
 }
@@ -0,0 +1,141 @@
+/**
+ * Redis Queue Sampler
+ *
+ * Periodically reads the depth and oldest entry of the Redis queues through
+ * QueueClient and publishes them as gauges, so queue backlogs can be
+ * monitored without shell access to Redis:
+ * - inbound: messages waiting for the worker (oldest by `enqueued_at`)
+ * - dlq: messages the worker gave up on (oldest by `failed_at`)
+ * - scheduled: send_at and retrying sends; the oldest is the longest overdue
+ *
+ * The HTTP API also serves an on-demand sample as JSON (GET /ops/queues).
+ */
+
+'use strict';
+
+const metrics = require('./metrics');
+const { ScheduledStore } = require('./scheduled-store');
+
+function age_seconds(timestamp, now) {
+    return timestamp === null ? null : Math.max(0, Math.round((now - timestamp) / 1000));
+}
+
+function parse_time(value) {
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+async function sample_list(queue_client, kind, queue, time_field, now) {
+    const [depth, oldest] = await Promise.all([
+        queue_client.depth(queue),
+        queue_client.peek_oldest(queue)
+    ]);
+    const oldest_at = oldest ? parse_time(oldest[time_field]) : null;
+
+    return {
+        kind,
+        queue,
+        depth,
+        oldest_at: oldest_at === null ? null : new Date(oldest_at).toISOString(),
+        oldest_age_seconds: age_seconds(oldest_at, now)
+    };
+}
+
+async function sample_scheduled(scheduled_store, queue, now) {
+    const [depth, backlog] = await Promise.all([
+        scheduled_store.depth(),
+        scheduled_store.due_backlog(now)
+    ]);
+
+    return {
+        kind: 'scheduled',
+        queue,
+        depth,
+        due: backlog.due,
+        oldest_at: backlog.oldest_due_at === null ? null : new Date(backlog.oldest_due_at).toISOString(),
+        oldest_age_seconds: age_seconds(backlog.oldest_due_at, now)
+    };
+}
+
+/**
+ * Create a sampler for the configured queues
+ * @param {Object} queue_client - QueueClient
+ * @param {Object} cfg - Loaded configuration (queue names, queue_sample_interval_ms)
+ * @param {Object} logger - Telemetry logger
+ * @returns {Object} `{sample, start, stop}`; sample() resolves to `{sampled_at, queues}`
+ */
+function create_sampler(queue_client, cfg, logger) {
+    const scheduled_store = new ScheduledStore(queue_client, cfg, logger);
+    const depth_gauge = metrics.registry.gauge(
+        'elektrine_queue_depth',
+        'Entries in a Redis queue, sampled periodically',
+        { labels: ['queue', 'kind'] }
+    );
+    const age_gauge = metrics.registry.gauge(
+        'elektrine_queue_oldest_age_seconds',
+        'Age of the oldest entry in a Redis queue (scheduled: the longest overdue send), 0 when empty',
+        { labels: ['queue', 'kind'] }
+    );
+    const due_gauge = metrics.registry.gauge(
+        'elektrine_queue_scheduled_due',
+        'Scheduled sends that are due but not yet dispatched',
+        { labels: ['queue'] }
+    );
+    const failures = metrics.registry.counter(
+        'elektrine_queue_sample_failures_total',
+        'Queue samples that could not be read from Redis'
+    );
+
+    let timer = null;
+    let sampling = null;
+
+    const sample = () => {
+        // Share one round of Redis reads between the timer and on-demand callers
+        if (sampling) return sampling;
+
+        const now = Date.now();
+        sampling = Promise.all([
+            sample_list(queue_client, 'inbound', cfg.queue_name, 'enqueued_at', now),
+            sample_list(queue_client, 'dlq', cfg.queue_dlq_name, 'failed_at', now),
+            sample_scheduled(scheduled_store, cfg.scheduled_queue_name, now)
+        ])
+            .then((queues) => {
+                for (const entry of queues) {
+                    const labels = { queue: entry.queue, kind: entry.kind };
+                    depth_gauge.set(labels, entry.depth);
+                    age_gauge.set(labels, entry.oldest_age_seconds || 0);
+                    if (entry.kind === 'scheduled') due_gauge.set({ queue: entry.queue }, entry.due);
+                }
+                return { sampled_at: new Date(now).toISOString(), queues };
+            })
+            .catch((err) => {
+                failures.inc();
+                logger.warn('queue_sample_failed', { message: err.message });
+                throw err;
+            })
+            .finally(() => {
+                sampling = null;
+            });
+
+        return sampling;
+    };
+
+    return {
+        sample,
+        start() {
+            if (timer || !cfg.queue_sample_interval_ms) return;
+            sample().catch(() => {});
+            timer = setInterval(() => sample().catch(() => {}), cfg.queue_sample_interval_ms);
+            // Never keep a process alive just for sampling
+            if (timer.unref) timer.unref();
+        },
+        stop() {
+            if (timer) clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    create_sampler
+};
@@ -0,0 +1,186 @@
+/**
+ * HTTP API Rate Limiter
+ *
+ * Sliding-window request limits with two interchangeable backends:
+ * - memory: per-process, for single-replica or Redis-less setups
+ * - redis: a sorted set per bucket, shared by every outbound-relay replica
+ *
+ * Both backends expose `hit(bucket, {limit, window_ms})` and resolve to
+ * `{allowed, limit, remaining, reset_ms, retry_after_sec}`. The Redis
+ * backend falls back to memory when Redis is unreachable so that an outage
+ * degrades to per-replica limits instead of rejecting all traffic.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const BACKENDS = ['memory', 'redis'];
+
+// Buckets the HTTP API can be limited by
+const DIMENSIONS = ['ip', 'api_key', 'sender'];
+
+// Redis TIME keeps every replica on the same clock.
+const SLIDING_WINDOW_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+
+if count < limit then
+    redis.call('ZADD', KEYS[1], now, ARGV[3])
+    redis.call('PEXPIRE', KEYS[1], window)
+    return {1, count + 1, now, now}
+end
+
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+return {0, count, now, tonumber(oldest[2])}
+`;
+
+function build_result(allowed, count, limit, window_ms, now, oldest) {
+    const reset_ms = Math.max(0, oldest + window_ms - now);
+    return {
+        allowed,
+        limit,
+        remaining: Math.max(0, limit - count),
+        reset_ms,
+        retry_after_sec: allowed ? 0 : Math.max(1, Math.ceil(reset_ms / 1000))
+    };
+}
+
+class MemoryRateLimiter {
+    constructor() {
+        this.buckets = new Map();
+        this.last_sweep = 0;
+    }
+
+    async hit(bucket, { limit, window_ms }) {
+        const now = Date.now();
+        this.sweep(now, window_ms);
+
+        const entry = this.buckets.get(bucket);
+        const timestamps = (entry ? entry.timestamps : []).filter((time) => now - time < window_ms);
+
+        if (timestamps.length >= limit) {
+            this.buckets.set(bucket, { window_ms, timestamps });
+            return build_result(false, timestamps.length, limit, window_ms, now, timestamps[0]);
+        }
+
+        timestamps.push(now);
+        this.buckets.set(bucket, { window_ms, timestamps });
+        return build_result(true, timestamps.length, limit, window_ms, now, timestamps[0]);
+    }
+
+    // Drop idle buckets at most once per window instead of on every request.
+    // Each bucket expires against its own window, as API keys may set their own.
+    sweep(now, window_ms) {
+        if (now - this.last_sweep < window_ms) return;
+        this.last_sweep = now;
+
+        for (const [bucket, entry] of this.buckets.entries()) {
+            const { timestamps } = entry;
+            if (timestamps.length === 0 || now - timestamps[timestamps.length - 1] >= entry.window_ms) {
+                this.buckets.delete(bucket);
+            }
+        }
+    }
+}
+
+class RedisRateLimiter {
+    constructor(queue_client, cfg, logger) {
+        this.queue_client = queue_client;
+        this.cfg = cfg;
+        this.logger = logger;
+        this.fallback = new MemoryRateLimiter();
+        this.degraded = false;
+    }
+
+    key(bucket) {
+        return `${this.cfg.rate_limit_key_prefix}:${bucket}`;
+    }
+
+    async hit(bucket, { limit, window_ms }) {
+        try {
+            const [allowed, count, now, oldest] = await this.queue_client.run((client) => client.eval(SLIDING_WINDOW_SCRIPT, {
+                keys: [this.key(bucket)],
+                arguments: [String(window_ms), String(limit), `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`]
+            }));
+
+            if (this.degraded) {
+                this.degraded = false;
+                this.logger.info('rate_limit_redis_recovered');
+            }
+
+            return build_result(allowed === 1, Number(count), limit, window_ms, Number(now), Number(oldest));
+        } catch (err) {
+            if (!this.degraded) {
+                this.degraded = true;
+                this.logger.warn('rate_limit_redis_unavailable', { message: err.message });
+            }
+            return this.fallback.hit(bucket, { limit, window_ms });
+        }
+    }
+}
+
+/**
+ * Create the configured rate limiter backend
+ * @param {Object} cfg - Loaded configuration (rate_limit_backend, rate_limit_key_prefix)
+ * @param {Object} queue_client - Shared QueueClient (Redis connection)
+ * @param {Object} logger - Telemetry logger
+ * @returns {MemoryRateLimiter|RedisRateLimiter} Limiter
+ */
+function create_rate_limiter(cfg, queue_client, logger) {
+    if (cfg.rate_limit_backend === 'redis') {
+        return new RedisRateLimiter(queue_client, cfg, logger);
+    }
+
+    return new MemoryRateLimiter();
+}
+
+/**
+ * Pick the most restrictive of several limiter results
+ * @param {Object[]} results - Results of hit()
+ * @returns {Object|null} The rejected result with the longest wait, else the one with the fewest remaining
+ */
+function most_restrictive(results) {
+    if (results.length === 0) return null;
+
+    const rejected = results.filter((result) => !result.allowed);
+    if (rejected.length > 0) {
+        return rejected.reduce((worst, result) => (result.retry_after_sec > worst.retry_after_sec ? result : worst));
+    }
+
+    return results.reduce((worst, result) => (result.remaining < worst.remaining ? result : worst));
+}
+
+/**
+ * Build X-RateLimit-* and Retry-After response headers
+ * @param {Object} result - Result of hit()
+ * @returns {Object} Headers
+ */
+function build_headers(result) {
+    const headers = {
+        'X-RateLimit-Limit': String(result.limit),
+        'X-RateLimit-Remaining': String(result.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(result.reset_ms / 1000))
+    };
+
+    if (!result.allowed) {
+        headers['Retry-After'] = String(result.retry_after_sec);
+    }
+
+    return headers;
+}
+
+module.exports = {
+    BACKENDS,
+    DIMENSIONS,
+    MemoryRateLimiter,
+    RedisRateLimiter,
+    create_rate_limiter,
+    most_restrictive,
+    build_headers
+};
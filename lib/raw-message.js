@@ -0,0 +1,245 @@
+/**
+ * Raw Message Sanitiser
+ *
+ * Checks and repairs caller-supplied RFC 5322 messages (`raw` and
+ * `raw_base64` sends) before they are queued:
+ * - bare LF and bare CR line endings become CRLF
+ * - header fields must be well formed; continuation lines are kept
+ * - header lines over 998 octets are folded, body lines over 998 are rejected
+ * - From, Date, Message-ID (and MIME-Version for MIME messages) are added when missing
+ * - singleton headers (From, Date, Subject, ...) may appear only once
+ * - Bcc headers are removed so blind recipients are not disclosed
+ * - every header From domain must be the envelope sender's domain or a subdomain of it
+ *
+ * The body is never re-encoded. Every repair is reported by name so callers
+ * can see what was changed in their submission.
+ */
+
+'use strict';
+
+const api_errors = require('./api-errors');
+const domains = require('./domains');
+
+const MAX_LINE_OCTETS = 998;
+
+// RFC 5322 section 3.6: fields that may occur at most once
+const SINGLETON_HEADERS = ['from', 'sender', 'reply-to', 'to', 'cc', 'subject', 'date', 'message-id', 'in-reply-to', 'references'];
+
+const HEADER_NAME_RE = /^[!-9;-~]+$/;
+
+function octets(line, encoding) {
+    // A binary string already holds one octet per character
+    return encoding === 'binary' ? line.length : Buffer.byteLength(line, 'utf8');
+}
+
+function invalid(message) {
+    return api_errors.create('invalid_raw_message', message);
+}
+
+/**
+ * Split a header block into fields, each with its (possibly folded) lines
+ * @param {string[]} lines - Header lines without line endings
+ * @returns {Object[]} `{name, lines}`
+ */
+function parse_header_fields(lines) {
+    const fields = [];
+
+    lines.forEach((line, index) => {
+        if (/^[ \t]/.test(line)) {
+            if (fields.length === 0) {
+                throw invalid('Raw message starts with a header continuation line');
+            }
+            fields[fields.length - 1].lines.push(line);
+            return;
+        }
+
+        const colon = line.indexOf(':');
+        const name = colon > 0 ? line.slice(0, colon).trim() : '';
+        if (!name || !HEADER_NAME_RE.test(name) || name !== line.slice(0, colon).trimStart()) {
+            throw invalid(`Malformed header line ${index + 1} in raw message`);
+        }
+        fields.push({ name, lines: [line] });
+    });
+
+    return fields;
+}
+
+function field_value(field) {
+    return field.lines.join(' ').slice(field.lines[0].indexOf(':') + 1).trim();
+}
+
+// Fold an over-long header line at whitespace; a line with no fold point cannot be repaired
+function fold_line(line, encoding) {
+    const folded = [];
+    let rest = line;
+
+    while (octets(rest, encoding) > MAX_LINE_OCTETS) {
+        const window = rest.slice(0, MAX_LINE_OCTETS);
+        const fold_at = Math.max(window.lastIndexOf(' '), window.lastIndexOf('\t'));
+        if (fold_at <= 0) return null;
+        folded.push(rest.slice(0, fold_at));
+        rest = rest.slice(fold_at);
+    }
+
+    folded.push(rest);
+    return folded;
+}
+
+// A sender may use a subdomain of its envelope domain, never a parent or sibling
+function domains_align(envelope_domain, header_domain) {
+    return header_domain === envelope_domain || header_domain.endsWith(`.${envelope_domain}`);
+}
+
+// RFC 5322 comments, which may nest and may hold address-like text
+function strip_comments(value) {
+    let result = '';
+    let depth = 0;
+    let quoted = false;
+
+    for (let i = 0; i < value.length; i += 1) {
+        const char = value[i];
+        if (char === '\\' && (quoted || depth > 0)) {
+            if (depth === 0) result += value.slice(i, i + 2);
+            i += 1;
+        } else if (quoted) {
+            result += char;
+            if (char === '"') quoted = false;
+        } else if (char === '(') {
+            depth += 1;
+        } else if (char === ')' && depth > 0) {
+            depth -= 1;
+            if (depth === 0) result += ' ';
+        } else if (depth === 0) {
+            if (char === '"') quoted = true;
+            result += char;
+        }
+    }
+
+    return result;
+}
+
+function header_addresses(value) {
+    return (strip_comments(value).match(/[^\s<>,;:"()]+@[^\s<>,;:"()]+/g) || []).map((address) => address.toLowerCase());
+}
+
+/**
+ * Validate and normalise a raw message
+ * @param {string} content - Raw RFC 5322 message
+ * @param {Object} options - Options
+ * @param {string} options.envelope_from - Envelope sender address
+ * @param {string} options.message_id - ID used for a missing Message-ID header
+ * @param {string} [options.encoding] - 'binary' when content holds one octet per character, else 'utf8'
+ * @param {Date} [options.now] - Clock for a missing Date header
+ * @returns {Object} `{content, changes, header_from}`
+ * @throws {Error} invalid_raw_message or sender_mismatch
+ */
+function sanitize(content, options) {
+    const encoding = options.encoding || 'utf8';
+    const changes = [];
+    let text = String(content || '');
+
+    if (text.includes('\0')) {
+        throw invalid('Raw message contains NUL bytes');
+    }
+
+    if (/\r(?!\n)|(^|[^\r])\n/.test(text)) {
+        text = text.replace(/\r\n|\r|\n/g, '\r\n');
+        changes.push('normalized_line_endings');
+    }
+
+    const separator = text.indexOf('\r\n\r\n');
+    const header_text = separator >= 0 ? text.slice(0, separator) : text.replace(/(\r\n)+$/, '');
+    let body = separator >= 0 ? text.slice(separator + 4) : '';
+
+    if (!header_text) {
+        throw invalid('Raw message has no header section');
+    }
+
+    const fields = parse_header_fields(header_text.split('\r\n'));
+    const find = (name) => fields.filter((field) => field.name.toLowerCase() === name);
+
+    for (const name of SINGLETON_HEADERS) {
+        if (find(name).length > 1) {
+            throw invalid(`Raw message has more than one ${find(name)[0].name} header`);
+        }
+    }
+
+    const bcc = find('bcc');
+    if (bcc.length > 0) {
+        fields.splice(0, fields.length, ...fields.filter((field) => !bcc.includes(field)));
+        changes.push('removed_bcc');
+    }
+
+    const envelope_from = String(options.envelope_from || '').toLowerCase();
+    const envelope_domain = domains.extract_domain(envelope_from) || '';
+
+    if (find('from').length === 0) {
+        fields.unshift({ name: 'From', lines: [`From: ${envelope_from}`] });
+        changes.push('added_from');
+    }
+    if (find('date').length === 0) {
+        fields.push({ name: 'Date', lines: [`Date: ${(options.now || new Date()).toUTCString()}`] });
+        changes.push('added_date');
+    }
+    if (find('message-id').length === 0) {
+        fields.push({ name: 'Message-ID', lines: [`Message-ID: <${options.message_id}@${envelope_domain || 'haraka.local'}>`] });
+        changes.push('added_message_id');
+    }
+    if (find('content-type').length > 0 && find('mime-version').length === 0) {
+        fields.push({ name: 'MIME-Version', lines: ['MIME-Version: 1.0'] });
+        changes.push('added_mime_version');
+    }
+
+    const header_from = header_addresses(field_value(find('from')[0]));
+    if (header_from.length === 0) {
+        throw invalid('Raw message From header has no address');
+    }
+    for (const address of header_from) {
+        const header_domain = domains.extract_domain(address);
+        if (!header_domain) throw invalid(`Raw message From header has an invalid address: ${address}`);
+        if (!envelope_domain || !domains_align(envelope_domain, header_domain)) {
+            throw api_errors.create(
+                'sender_mismatch',
+                `Envelope sender domain ${envelope_domain || '<none>'} does not match header From ${address}`
+            );
+        }
+    }
+
+    let folded = false;
+    const header_lines = [];
+    for (const field of fields) {
+        for (const line of field.lines) {
+            if (octets(line, encoding) <= MAX_LINE_OCTETS) {
+                header_lines.push(line);
+                continue;
+            }
+            const parts = fold_line(line, encoding);
+            if (!parts) throw invalid(`${field.name} header line exceeds ${MAX_LINE_OCTETS} octets and cannot be folded`);
+            header_lines.push(...parts);
+            folded = true;
+        }
+    }
+    if (folded) changes.push('folded_long_headers');
+
+    const body_lines = body.split('\r\n');
+    const long_line = body_lines.findIndex((line) => octets(line, encoding) > MAX_LINE_OCTETS);
+    if (long_line >= 0) {
+        throw invalid(`Body line ${long_line + 1} exceeds ${MAX_LINE_OCTETS} octets; use a quoted-printable or base64 transfer encoding`);
+    }
+
+    if (!body.endsWith('\r\n')) {
+        body += '\r\n';
+        changes.push('added_terminal_crlf');
+    }
+
+    return {
+        content: `${header_lines.join('\r\n')}\r\n\r\n${body}`,
+        changes,
+        header_from
+    };
+}
+
+module.exports = {
+    MAX_LINE_OCTETS,
+    sanitize
+};
@@ -0,0 +1,199 @@
+/**
+ * Scheduled Send Store Module
+ *
+ * Durable "send later" storage for the HTTP send API. Prepared messages live
+ * in a Redis hash and are indexed by due time in a sorted set next to the
+ * inbound queue, so pending sends survive a restart of the outbound relay.
+ *
+ * Due items are claimed atomically by bumping their score by a lease; an item
+ * whose sender died mid-delivery becomes due again once the lease expires.
+ * A claim older than the lease no longer counts as in flight, so such an
+ * item can still be canceled.
+ */
+
+'use strict';
+
+// How long a claimed item is hidden from other pollers
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+const CLAIM_DUE_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[3]))
+for _, id in ipairs(due) do
+    redis.call('ZADD', KEYS[1], ARGV[2], id)
+    redis.call('HSET', KEYS[2], id, ARGV[1])
+end
+return due
+`;
+
+// Returns canceled, in_flight or not_found
+const CANCEL_SCRIPT = `
+local claimed_at = redis.call('HGET', KEYS[2], ARGV[1])
+if claimed_at and tonumber(claimed_at) + tonumber(ARGV[3]) > tonumber(ARGV[2]) then
+    return 'in_flight'
+end
+local removed = redis.call('ZREM', KEYS[1], ARGV[1])
+redis.call('HDEL', KEYS[3], ARGV[1])
+redis.call('HDEL', KEYS[2], ARGV[1])
+if removed == 1 then
+    return 'canceled'
+end
+return 'not_found'
+`;
+
+function claim_is_live(claimed_at, now = Date.now()) {
+    return claimed_at + CLAIM_LEASE_MS > now;
+}
+
+class ScheduledStore {
+    constructor(queue_client, cfg, logger) {
+        this.queue_client = queue_client;
+        this.cfg = cfg;
+        this.logger = logger;
+    }
+
+    get index_key() {
+        return this.cfg.scheduled_queue_name;
+    }
+
+    get items_key() {
+        return `${this.cfg.scheduled_queue_name}:items`;
+    }
+
+    get claims_key() {
+        return `${this.cfg.scheduled_queue_name}:claims`;
+    }
+
+    /**
+     * Persist a prepared message for later delivery
+     * @param {Object} item - Prepared message
+     * @param {string} item.message_id - API message ID
+     * @param {number} item.send_at - Due time in epoch milliseconds
+     * @param {string} item.sender_email - Envelope sender
+     * @param {string[]} item.recipients - Envelope recipients
+     * @param {string} item.email_content - Complete RFC 5322 message
+     * @returns {Promise<void>}
+     */
+    async schedule(item) {
+        const client = await this.queue_client.get_client();
+        const record = {
+            attempts: 0,
+            created_at: new Date().toISOString(),
+            ...item
+        };
+
+        await client.multi()
+            .hSet(this.items_key, item.message_id, JSON.stringify(record))
+            .zAdd(this.index_key, { score: item.send_at, value: item.message_id })
+            .exec();
+    }
+
+    /**
+     * Load a scheduled item
+     * @param {string} message_id - API message ID
+     * @returns {Promise<Object|null>} Item with `claimed_at` when in flight, or null
+     *   (a claim older than the lease is not reported)
+     */
+    async get(message_id) {
+        const client = await this.queue_client.get_client();
+        const [raw, claimed_at] = await Promise.all([
+            client.hGet(this.items_key, message_id),
+            client.hGet(this.claims_key, message_id)
+        ]);
+
+        if (!raw) return null;
+
+        const item = JSON.parse(raw);
+        item.claimed_at = claimed_at && claim_is_live(Number(claimed_at)) ? Number(claimed_at) : null;
+        return item;
+    }
+
+    /**
+     * Cancel a pending item
+     * @param {string} message_id - API message ID
+     * @returns {Promise<string>} canceled, in_flight or not_found
+     */
+    async cancel(message_id) {
+        // Checked and removed in one script, so a poller cannot claim the item in between
+        return this.queue_client.run((client) => client.eval(CANCEL_SCRIPT, {
+            keys: [this.index_key, this.claims_key, this.items_key],
+            arguments: [message_id, String(Date.now()), String(CLAIM_LEASE_MS)]
+        }));
+    }
+
+    /**
+     * Claim items that are due for delivery
+     * @param {number} [limit=50] - Maximum items to claim
+     * @returns {Promise<string[]>} Claimed message IDs
+     */
+    async claim_due(limit = 50) {
+        const client = await this.queue_client.get_client();
+        const now = Date.now();
+
+        return client.eval(CLAIM_DUE_SCRIPT, {
+            keys: [this.index_key, this.claims_key],
+            arguments: [String(now), String(now + CLAIM_LEASE_MS), String(limit)]
+        });
+    }
+
+    /**
+     * Remove a delivered (or abandoned) item
+     * @param {string} message_id - API message ID
+     * @returns {Promise<void>}
+     */
+    async complete(message_id) {
+        const client = await this.queue_client.get_client();
+        await client.multi()
+            .zRem(this.index_key, message_id)
+            .hDel(this.items_key, message_id)
+            .hDel(this.claims_key, message_id)
+            .exec();
+    }
+
+    /**
+     * Put a claimed item back for a later attempt
+     * @param {Object} item - Item previously returned by get()
+     * @param {number} retry_at - Next due time in epoch milliseconds
+     * @returns {Promise<void>}
+     */
+    async retry(item, retry_at) {
+        const client = await this.queue_client.get_client();
+        const { claimed_at, ...record } = item;
+
+        await client.multi()
+            .hSet(this.items_key, item.message_id, JSON.stringify({ ...record, attempts: (record.attempts || 0) + 1 }))
+            .zAdd(this.index_key, { score: retry_at, value: item.message_id })
+            .hDel(this.claims_key, item.message_id)
+            .exec();
+    }
+
+    /**
+     * Number of pending scheduled sends
+     * @returns {Promise<number>} Sorted set cardinality
+     */
+    async depth() {
+        return this.queue_client.run((client) => client.zCard(this.index_key));
+    }
+
+    /**
+     * Scheduled sends that are due but not yet claimed
+     * @param {number} [now] - Epoch milliseconds
+     * @returns {Promise<Object>} `{due, oldest_due_at}`; oldest_due_at is epoch ms or null
+     */
+    async due_backlog(now = Date.now()) {
+        const [due, oldest] = await this.queue_client.run((client) => Promise.all([
+            client.zCount(this.index_key, '-inf', now),
+            client.zRangeWithScores(this.index_key, 0, 0)
+        ]));
+        const oldest_score = oldest.length > 0 ? Number(oldest[0].score) : null;
+
+        return {
+            due,
+            oldest_due_at: oldest_score !== null && oldest_score <= now ? oldest_score : null
+        };
+    }
+}
+
+module.exports = {
+    ScheduledStore,
+    CLAIM_LEASE_MS
+};
@@ -0,0 +1,135 @@
+/**
+ * Per-Message Send Limits
+ *
+ * Caps on a single send: recipient count, attachment count, size of any one
+ * attachment and size of the final message. Defaults come from the
+ * configuration; an API key can override each of them in http_api_keys.ini.
+ * A limit of 0 means unlimited.
+ *
+ * `check_request()` runs before the message is built and sizes it from the
+ * payload: attachments by their decoded size, the message by its encoded
+ * size. `check_message_size()` checks the exact size once it is built.
+ */
+
+'use strict';
+
+const emailBuilder = require('./email-builder');
+
+const LIMIT_NAMES = ['max_recipients', 'max_message_bytes', 'max_attachments', 'max_attachment_bytes'];
+
+// Base64 with a CRLF after every 76 characters
+function base64_encoded_bytes(size) {
+    const encoded = Math.ceil(size / 3) * 4;
+    return encoded + Math.ceil(encoded / 76) * 2;
+}
+
+function base64_decoded_bytes(data) {
+    const clean = String(data || '').replace(/[^A-Za-z0-9+/=_-]/g, '');
+    const padding = clean.endsWith('==') ? 2 : (clean.endsWith('=') ? 1 : 0);
+    return Math.max(0, Math.floor(clean.length * 3 / 4) - padding);
+}
+
+/**
+ * Resolve the limits that apply to a caller
+ * @param {Object} cfg - Loaded configuration (send_max_*)
+ * @param {Object} [api_key] - Caller's API key entry, whose max_* values win
+ * @returns {Object} `{max_recipients, max_message_bytes, max_attachments, max_attachment_bytes}`
+ */
+function resolve(cfg, api_key) {
+    const limits = {};
+    for (const name of LIMIT_NAMES) {
+        const override = api_key ? api_key[name] : null;
+        limits[name] = override !== null && override !== undefined ? override : cfg[`send_${name}`];
+    }
+    return limits;
+}
+
+function violation(code, field, message, limit) {
+    return { code, field, message, limit };
+}
+
+/**
+ * Check a send payload against the limits before the message is built
+ * @param {Object} email_data - Validated send payload
+ * @param {Object[]} files - Spooled multipart files (`{filename, size}`)
+ * @param {Object} limits - From resolve()
+ * @returns {Object|null} `{code, field, message, limit}` for the first limit exceeded
+ */
+function check_request(email_data, files, limits) {
+    const recipient_count = emailBuilder.collect_recipients(email_data).length;
+    if (limits.max_recipients && recipient_count > limits.max_recipients) {
+        return violation(
+            'too_many_recipients', 'to',
+            `Too many recipients: ${recipient_count} (max ${limits.max_recipients})`,
+            limits.max_recipients
+        );
+    }
+
+    const attachments = [
+        ...(Array.isArray(email_data.attachments) ? email_data.attachments : []).map((attachment, index) => ({
+            field: `attachments[${index}]`,
+            name: attachment && attachment.filename,
+            size: base64_decoded_bytes(attachment && attachment.data)
+        })),
+        ...(files || []).map((file) => ({ field: file.field || 'attachments', name: file.filename, size: file.size }))
+    ];
+
+    if (limits.max_attachments && attachments.length > limits.max_attachments) {
+        return violation(
+            'too_many_attachments', 'attachments',
+            `Too many attachments: ${attachments.length} (max ${limits.max_attachments})`,
+            limits.max_attachments
+        );
+    }
+
+    const oversized = limits.max_attachment_bytes
+        ? attachments.find((attachment) => attachment.size > limits.max_attachment_bytes)
+        : null;
+    if (oversized) {
+        return violation(
+            'attachment_too_large', oversized.field,
+            `Attachment ${oversized.name || oversized.field} is ${oversized.size} bytes (max ${limits.max_attachment_bytes})`,
+            limits.max_attachment_bytes
+        );
+    }
+
+    if (!limits.max_message_bytes) return null;
+
+    let message_bytes;
+    if (email_data.raw_base64) {
+        message_bytes = base64_decoded_bytes(email_data.raw_base64);
+    } else if (email_data.raw) {
+        message_bytes = Buffer.byteLength(String(email_data.raw), 'utf8');
+    } else {
+        // A lower bound: headers and part boundaries come on top
+        message_bytes = ['text_body', 'text', 'body', 'html_body', 'html']
+            .reduce((total, field) => total + Buffer.byteLength(String(email_data[field] || ''), 'utf8'), 0)
+            + attachments.reduce((total, attachment) => total + base64_encoded_bytes(attachment.size), 0);
+    }
+
+    return check_message_size(message_bytes, limits);
+}
+
+/**
+ * Check the size of a built message
+ * @param {number} message_bytes - Message size in octets
+ * @param {Object} limits - From resolve()
+ * @returns {Object|null} `{code, field, message, limit}` when the message is too large
+ */
+function check_message_size(message_bytes, limits) {
+    if (!limits.max_message_bytes || message_bytes <= limits.max_message_bytes) return null;
+
+    return violation(
+        'message_too_large', '',
+        `Message is ${message_bytes} bytes (max ${limits.max_message_bytes})`,
+        limits.max_message_bytes
+    );
+}
+
+module.exports = {
+    LIMIT_NAMES,
+    base64_encoded_bytes,
+    resolve,
+    check_request,
+    check_message_size
+};
@@ -0,0 +1,192 @@
+/**
+ * Outbound Send Quota Module
+ *
+ * Hourly and daily message quotas per sender address and per sender domain
+ * for the HTTP send API, counted per recipient. Counters live in Redis in
+ * fixed UTC windows (one key per scope, subject and window) so that every
+ * outbound-relay replica shares them. All limits of a send are checked and
+ * incremented in one script, so a send is either counted everywhere or
+ * nowhere.
+ */
+
+'use strict';
+
+const SCOPES = ['sender', 'domain'];
+
+const PERIODS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+// Returns {0, 0} when every counter had room, else {index of the full counter, its usage}
+const CONSUME_SCRIPT = `
+local n = #KEYS
+local count = tonumber(ARGV[1])
+for i = 1, n do
+    local used = tonumber(redis.call('GET', KEYS[i]) or '0')
+    if used + count > tonumber(ARGV[1 + i]) then
+        return {i, used}
+    end
+end
+for i = 1, n do
+    redis.call('INCRBY', KEYS[i], count)
+    redis.call('PEXPIRE', KEYS[i], tonumber(ARGV[1 + n + i]))
+end
+return {0, 0}
+`;
+
+function window_start(period, now) {
+    return Math.floor(now / PERIODS[period]) * PERIODS[period];
+}
+
+/**
+ * Normalize a quota subject
+ * @param {string} scope - sender or domain
+ * @param {string} value - Email address or domain
+ * @returns {string|null} Lowercased subject or null when invalid
+ */
+function normalize_subject(scope, value) {
+    const subject = String(value || '').trim().toLowerCase();
+    if (!subject || subject.length > 320) return null;
+    if (scope === 'sender') return /^[^\s@<>]+@[^\s@<>]+$/.test(subject) ? subject : null;
+    if (scope === 'domain') return /^[a-z0-9.-]+$/.test(subject) ? subject : null;
+    return null;
+}
+
+class SendQuotaStore {
+    constructor(queue_client, cfg, logger) {
+        this.queue_client = queue_client;
+        this.cfg = cfg;
+        this.logger = logger;
+    }
+
+    limit(scope, period) {
+        return this.cfg[`quota_${scope}_${period === 'hour' ? 'hourly' : 'daily'}`] || 0;
+    }
+
+    key(scope, subject, period, now) {
+        return `${this.cfg.quota_key_prefix}:${scope}:${period}:${window_start(period, now)}:${subject}`;
+    }
+
+    /**
+     * Whether any quota is configured
+     * @returns {boolean} True when at least one limit is non-zero
+     */
+    enabled() {
+        return SCOPES.some((scope) => Object.keys(PERIODS).some((period) => this.limit(scope, period) > 0));
+    }
+
+    counters(sender, now) {
+        const subjects = {
+            sender: normalize_subject('sender', sender),
+            domain: normalize_subject('domain', String(sender || '').split('@').pop())
+        };
+        const counters = [];
+
+        for (const scope of SCOPES) {
+            if (!subjects[scope]) continue;
+
+            for (const period of Object.keys(PERIODS)) {
+                const limit = this.limit(scope, period);
+                if (limit <= 0) continue;
+
+                counters.push({
+                    scope,
+                    subject: subjects[scope],
+                    period,
+                    limit,
+                    key: this.key(scope, subjects[scope], period, now),
+                    resets_at: window_start(period, now) + PERIODS[period]
+                });
+            }
+        }
+
+        return counters;
+    }
+
+    /**
+     * Count a send against its sender and domain quotas
+     * @param {string} sender - Envelope sender address, with an ASCII domain (domains.normalize_email)
+     * @param {number} recipient_count - Number of recipients of the send
+     * @returns {Promise<Object>} `{allowed: true, keys}` with the counter keys to pass to release(),
+     *   or `{allowed: false, scope, subject, period, limit, used, resets_at}`
+     */
+    async consume(sender, recipient_count) {
+        const now = Date.now();
+        const counters = this.counters(sender, now);
+        if (counters.length === 0 || recipient_count <= 0) return { allowed: true, keys: [] };
+
+        const keys = counters.map((counter) => counter.key);
+        const [index, used] = await this.queue_client.run((client) => client.eval(CONSUME_SCRIPT, {
+            keys,
+            arguments: [
+                String(recipient_count),
+                ...counters.map((counter) => String(counter.limit)),
+                ...counters.map((counter) => String(counter.resets_at - now + 60000))
+            ]
+        }));
+
+        if (Number(index) === 0) return { allowed: true, keys };
+
+        const { key, ...exceeded } = counters[Number(index) - 1];
+        return { allowed: false, used: Number(used), ...exceeded };
+    }
+
+    /**
+     * Give back a consumed allowance when the send was not queued after all
+     *
+     * The keys are the ones consume() counted against, so a send that fails
+     * after a window boundary is returned to the window it was counted in.
+     * @param {string[]} keys - Counter keys returned by consume()
+     * @param {number} recipient_count - Number passed to consume()
+     * @returns {Promise<void>}
+     */
+    async release(keys, recipient_count) {
+        if (!keys || keys.length === 0 || recipient_count <= 0) return;
+
+        await this.queue_client.run(async (client) => {
+            for (const key of keys) {
+                await client.decrBy(key, recipient_count);
+            }
+        });
+    }
+
+    /**
+     * Current usage of a sender or domain
+     * @param {string} scope - sender or domain
+     * @param {string} subject - Address or domain
+     * @returns {Promise<Object>} `{scope, subject, hour: {used, limit, resets_at}, day: {...}}`
+     */
+    async usage(scope, subject) {
+        const now = Date.now();
+        const result = { scope, subject };
+
+        for (const period of Object.keys(PERIODS)) {
+            const used = await this.queue_client.run((client) => client.get(this.key(scope, subject, period, now)));
+            result[period] = {
+                used: parseInt(used || '0', 10),
+                limit: this.limit(scope, period) || null,
+                resets_at: new Date(window_start(period, now) + PERIODS[period]).toISOString()
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * Reset the current hourly and daily counters of a sender or domain
+     * @param {string} scope - sender or domain
+     * @param {string} subject - Address or domain
+     * @returns {Promise<void>}
+     */
+    async reset(scope, subject) {
+        const now = Date.now();
+        await this.queue_client.run((client) => client.del(Object.keys(PERIODS).map((period) => this.key(scope, subject, period, now))));
+    }
+}
+
+module.exports = {
+    SCOPES,
+    SendQuotaStore,
+    normalize_subject
+};
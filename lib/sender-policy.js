@@ -0,0 +1,95 @@
+/**
+ * Sender Authorization Policy
+ *
+ * Decides whether an HTTP API caller may send as a given address. A sender
+ * is allowed when its domain is one of our local domains, or, for API keys
+ * with an explicit sender_domains allowlist, when it is on that list.
+ * Both the envelope sender and every header From address are checked.
+ */
+
+'use strict';
+
+const domains = require('./domains');
+const api_keys = require('./api-keys');
+
+const MODES = ['enforce', 'monitor', 'off'];
+
+const ERROR_CODE = 'sender_not_allowed';
+
+/**
+ * Extract the From addresses of a MIME message header block
+ * @param {string} email_content - Complete RFC 5322 message
+ * @returns {string[]} Lowercased addresses (empty when there is no From header)
+ */
+function header_from_addresses(email_content) {
+    const content = String(email_content || '');
+    const header_end = content.search(/\r?\n\r?\n/);
+    const header_block = header_end >= 0 ? content.slice(0, header_end) : content;
+
+    // Unfold continuation lines before matching
+    const unfolded = header_block.replace(/\r?\n[ \t]+/g, ' ');
+    const from_lines = unfolded.split(/\r?\n/).filter((line) => /^from\s*:/i.test(line));
+
+    const addresses = [];
+    for (const line of from_lines) {
+        const value = line.replace(/^from\s*:/i, '');
+        const matches = value.match(/[^\s<>,;:"()]+@[^\s<>,;:"()]+/g) || [];
+        addresses.push(...matches.map((address) => address.toLowerCase()));
+    }
+
+    return addresses;
+}
+
+function domain_of(address) {
+    const at = String(address || '').lastIndexOf('@');
+    return at >= 0 ? domains.to_ascii_domain(address.slice(at + 1)) : '';
+}
+
+/**
+ * Check whether one sender address is allowed for an API key
+ * @param {string} address - Sender address
+ * @param {Object} [api_key] - API key registry entry
+ * @returns {boolean} True when allowed
+ */
+function is_address_allowed(address, api_key) {
+    const domain = domain_of(address);
+    if (!domain) return false;
+
+    if (api_key && api_key.sender_domains.length > 0) {
+        return api_keys.is_sender_allowed(api_key, address);
+    }
+
+    return domains.is_local_domain(domain);
+}
+
+/**
+ * Check every sender identity of a message
+ * @param {Object} message - Message identities
+ * @param {string} message.envelope_from - Envelope sender (MAIL FROM)
+ * @param {string[]} [message.header_from] - Header From addresses
+ * @param {Object} [api_key] - API key registry entry
+ * @returns {Object|null} Violation `{code, address, message}` or null when allowed
+ */
+function check(message, api_key) {
+    const identities = [message.envelope_from, ...(message.header_from || [])];
+
+    for (const address of identities) {
+        if (!is_address_allowed(address, api_key)) {
+            return {
+                code: ERROR_CODE,
+                address,
+                message: `Sender ${address || '<empty>'} is not allowed for this API key`
+            };
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    MODES,
+    ERROR_CODE,
+    header_from_addresses,
+    is_address_allowed,
+    check
+};
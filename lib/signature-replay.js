@@ -0,0 +1,45 @@
+/**
+ * Signature Replay Store Module
+ *
+ * Remembers the signatures of accepted HMAC-signed requests in Redis, so a
+ * captured request cannot be replayed against this or any other
+ * outbound-relay replica. Each signature is kept for as long as its
+ * timestamp could still pass the clock skew check.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+class SignatureReplayStore {
+    constructor(queue_client, cfg, logger) {
+        this.queue_client = queue_client;
+        this.cfg = cfg;
+        this.logger = logger;
+    }
+
+    key(signature) {
+        const digest = crypto.createHash('sha256').update(String(signature)).digest('hex');
+        return `${this.cfg.signature_replay_key_prefix}:${digest}`;
+    }
+
+    /**
+     * Record a verified signature
+     * @param {string} signature - X-Elektrine-Signature value
+     * @returns {Promise<boolean>} False when the signature was already seen
+     */
+    async remember(signature) {
+        // A timestamp is accepted up to max skew in either direction
+        const window_ms = this.cfg.signature_max_skew_sec * 2000;
+        const stored = await this.queue_client.run((client) => client.set(this.key(signature), String(Date.now()), {
+            NX: true,
+            PX: window_ms
+        }));
+
+        return stored !== null;
+    }
+}
+
+module.exports = {
+    SignatureReplayStore
+};
@@ -0,0 +1,109 @@
+/**
+ * HMAC Signing Helpers
+ *
+ * Shared HMAC-SHA256 helpers for requests Haraka sends to Phoenix.
+ * The signed string is `<unix timestamp>.<raw body>` so the receiver can
+ * verify both integrity and freshness without us transmitting the secret.
+ *
+ * Requests Phoenix sends to the HTTP API are signed over
+ * `<unix timestamp>\n<METHOD>\n<path>\n<hex sha256 of body>` instead, so that
+ * a signature for one route cannot be replayed against another.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+
+/**
+ * Compute a hex HMAC-SHA256 digest
+ * @param {string} secret - Shared secret
+ * @param {string|Buffer} value - Value to sign
+ * @returns {string} Hex digest
+ */
+function hmac_sha256_hex(secret, value) {
+    return crypto.createHmac('sha256', String(secret)).update(value).digest('hex');
+}
+
+/**
+ * Sign a request body
+ * @param {string} secret - Shared secret
+ * @param {string} body - Raw request body
+ * @param {number} [timestamp] - Unix timestamp in seconds (defaults to now)
+ * @returns {Object} Object with timestamp and signature (`v1=<hex>`)
+ */
+function sign_payload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = hmac_sha256_hex(secret, `${timestamp}.${body || ''}`);
+    return {
+        timestamp,
+        signature: `${SIGNATURE_VERSION}=${digest}`
+    };
+}
+
+/**
+ * Build the signature headers for an outgoing request body
+ * @param {string} secret - Shared secret
+ * @param {string} body - Raw request body
+ * @param {number} [timestamp] - Unix timestamp in seconds (defaults to now)
+ * @returns {Object} Headers to merge into the request
+ */
+function build_signature_headers(secret, body, timestamp) {
+    const signed = sign_payload(secret, body, timestamp);
+    return {
+        'X-Elektrine-Timestamp': String(signed.timestamp),
+        'X-Elektrine-Signature': signed.signature
+    };
+}
+
+/**
+ * Build the canonical string for an HTTP API request signature
+ * @param {Object} request - Request parts
+ * @param {number|string} request.timestamp - Unix timestamp in seconds
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Request path without query string
+ * @param {string} [request.body] - Raw request body
+ * @param {string} [request.body_sha256] - Hex SHA-256 of a body that was streamed rather than kept
+ * @returns {string} Canonical string to sign
+ */
+function canonical_request({ timestamp, method, path, body, body_sha256 }) {
+    const body_hash = body_sha256 || crypto.createHash('sha256').update(body || '').digest('hex');
+    return `${timestamp}\n${String(method || '').toUpperCase()}\n${path}\n${body_hash}`;
+}
+
+/**
+ * Sign an HTTP API request
+ * @param {string} secret - Shared secret
+ * @param {Object} request - See canonical_request()
+ * @returns {string} Signature header value (`v1=<hex>`)
+ */
+function sign_request(secret, request) {
+    return `${SIGNATURE_VERSION}=${hmac_sha256_hex(secret, canonical_request(request))}`;
+}
+
+/**
+ * Verify an HTTP API request signature in constant time
+ * @param {string} secret - Shared secret
+ * @param {string} received - Received X-Elektrine-Signature value
+ * @param {Object} request - See canonical_request()
+ * @returns {boolean} True when the signature matches
+ */
+function verify_request(secret, received, request) {
+    if (!secret || !received) return false;
+
+    const expected_buffer = Buffer.from(sign_request(secret, request));
+    const received_buffer = Buffer.from(String(received).trim());
+    if (received_buffer.length !== expected_buffer.length) return false;
+
+    return crypto.timingSafeEqual(received_buffer, expected_buffer);
+}
+
+module.exports = {
+    SIGNATURE_VERSION,
+    hmac_sha256_hex,
+    sign_payload,
+    build_signature_headers,
+    canonical_request,
+    sign_request,
+    verify_request
+};
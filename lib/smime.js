@@ -0,0 +1,336 @@
+/**
+ * S/MIME Signing and Encryption
+ *
+ * Wraps a finished RFC 5322 message in S/MIME (RFC 8551) before it is handed
+ * to Haraka outbound, and so before DKIM signing:
+ * - sign: multipart/signed with a detached application/pkcs7-signature
+ * - encrypt: application/pkcs7-mime enveloped-data (AES-256-CBC) for every
+ *   recipient certificate, plus the sender's own so the sent copy stays readable
+ * When both are requested the message is signed first, then encrypted.
+ *
+ * Only the MIME entity (Content-* headers and body) is wrapped; From, To,
+ * Subject and the other header fields stay readable for transport and DKIM.
+ * The CMS structures are produced by the openssl command line tool.
+ *
+ * Sender certificates live next to the DKIM key of their domain:
+ * <dkim_storage_dir>/<domain>/smime/<local part>/{cert.pem,key.pem,chain.pem}
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const domains = require('./domains');
+const api_errors = require('./api-errors');
+
+const CERTIFICATE_RE = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Directory holding a sender's certificate and key
+ * @param {string} storage_dir - DKIM storage directory
+ * @param {string} email - Sender address
+ * @returns {string|null} Directory, or null for an invalid address
+ */
+function sender_dir(storage_dir, email) {
+    const normalized = domains.normalize_email(email);
+    if (!normalized) return null;
+
+    const at = normalized.lastIndexOf('@');
+    // Local parts may hold characters that are not safe in file names, and "." or ".."
+    const local = encodeURIComponent(normalized.slice(0, at).toLowerCase()).replace(/^\./, '%2E');
+    return path.join(storage_dir, normalized.slice(at + 1), 'smime', local);
+}
+
+/**
+ * Split PEM text into its certificates
+ * @param {string} text - One or more PEM certificates
+ * @returns {string[]} PEM blocks, each ending with a newline
+ */
+function split_certificates(text) {
+    return (String(text || '').replace(/\r\n/g, '\n').match(CERTIFICATE_RE) || []).map((pem) => `${pem}\n`);
+}
+
+function parse_certificate(pem) {
+    try {
+        return new crypto.X509Certificate(pem);
+    } catch (err) {
+        return null;
+    }
+}
+
+function is_current(certificate, now = Date.now()) {
+    return Date.parse(certificate.validFrom) <= now && now <= Date.parse(certificate.validTo);
+}
+
+function covers(certificate, email) {
+    const normalized = domains.normalize_email(email);
+    if (!normalized) return false;
+    // Local parts are matched case-insensitively, as mail providers do
+    return [normalized, normalized.toLowerCase()].some((address) => certificate.checkEmail(address) !== undefined);
+}
+
+/**
+ * Check that a stored certificate may still be used
+ * @param {string} pem - PEM certificate
+ * @param {number} [now] - Clock, in milliseconds
+ * @returns {boolean} True when the certificate parses and is inside its validity period
+ */
+function certificate_is_current(pem, now = Date.now()) {
+    const certificate = parse_certificate(pem);
+    return Boolean(certificate) && is_current(certificate, now);
+}
+
+/**
+ * Summary of a certificate for API responses
+ * @param {string} pem - PEM certificate
+ * @returns {Object} `{subject, issuer, serial_number, valid_from, valid_to, fingerprint_sha256}`
+ */
+function describe_certificate(pem) {
+    const certificate = new crypto.X509Certificate(pem);
+    return {
+        subject: certificate.subject,
+        issuer: certificate.issuer,
+        serial_number: certificate.serialNumber,
+        valid_from: new Date(certificate.validFrom).toISOString(),
+        valid_to: new Date(certificate.validTo).toISOString(),
+        fingerprint_sha256: certificate.fingerprint256
+    };
+}
+
+/**
+ * Check a sender's certificate, private key and optional chain before they are stored
+ * @param {string} email - Sender address the certificate is for
+ * @param {Object} input - `{certificate, private_key, chain}` as PEM text
+ * @returns {Object} Normalized `{certificate, private_key, chain}`; chain is '' when absent
+ * @throws {Error} With code smime_certificate_invalid
+ */
+function validate_credentials(email, input) {
+    const invalid = (field, message) => api_errors.create('smime_certificate_invalid', message, { field });
+
+    const [certificate_pem] = split_certificates(input.certificate);
+    const certificate = certificate_pem && parse_certificate(certificate_pem);
+    if (!certificate) throw invalid('certificate', 'certificate is not a PEM X.509 certificate');
+    if (!covers(certificate, email)) {
+        throw invalid('certificate', `certificate is not issued for ${email}`);
+    }
+    if (!is_current(certificate)) {
+        throw invalid('certificate', `certificate is not valid now (valid ${certificate.validFrom} to ${certificate.validTo})`);
+    }
+
+    let private_key;
+    try {
+        private_key = crypto.createPrivateKey({ key: String(input.private_key || ''), format: 'pem' });
+    } catch (err) {
+        throw invalid('private_key', 'private_key is not a PEM private key');
+    }
+    if (!certificate.checkPrivateKey(private_key)) {
+        throw invalid('private_key', 'private_key does not belong to the certificate');
+    }
+
+    const chain = split_certificates(input.chain);
+    if (chain.some((pem) => !parse_certificate(pem))) {
+        throw invalid('chain', 'chain must hold PEM X.509 certificates');
+    }
+
+    return {
+        certificate: certificate_pem,
+        private_key: private_key.export({ type: 'pkcs8', format: 'pem' }).toString(),
+        chain: chain.join('')
+    };
+}
+
+/**
+ * Pick a current certificate for each recipient
+ * @param {string[]} recipients - Recipient addresses
+ * @param {string[]} certificates - Candidate PEM certificates
+ * @returns {Object} `{certificates, missing}`: the PEM certificate per covered recipient and the uncovered addresses
+ */
+function match_recipients(recipients, certificates) {
+    const parsed = certificates
+        .map((pem) => ({ pem, certificate: parse_certificate(pem) }))
+        .filter((entry) => entry.certificate && is_current(entry.certificate));
+    const matched = new Set();
+    const missing = [];
+
+    for (const recipient of recipients) {
+        const entry = parsed.find((candidate) => covers(candidate.certificate, recipient));
+        if (entry) {
+            matched.add(entry.pem);
+        } else {
+            missing.push(recipient);
+        }
+    }
+
+    return { certificates: [...matched], missing };
+}
+
+function run_openssl(args, input, options) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(options.openssl || 'openssl', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        const stdout = [];
+        const stderr = [];
+        let stdout_bytes = 0;
+        let settled = false;
+
+        const finish = (err, output) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (err) {
+                child.kill();
+                reject(err);
+            } else {
+                resolve(output);
+            }
+        };
+
+        const timer = setTimeout(() => finish(new Error(`openssl did not finish within ${options.timeout_ms}ms`)), options.timeout_ms);
+
+        child.stdout.on('data', (chunk) => {
+            stdout_bytes += chunk.length;
+            if (stdout_bytes > MAX_OUTPUT_BYTES) return finish(new Error('openssl output too large'));
+            stdout.push(chunk);
+            return undefined;
+        });
+        child.stderr.on('data', (chunk) => stderr.push(chunk));
+        child.on('error', (err) => finish(err));
+        child.on('close', (code) => {
+            if (code !== 0) {
+                const detail = Buffer.concat(stderr).toString('utf8').trim().split('\n')[0];
+                return finish(new Error(`openssl ${args[0]} ${args[1]} failed: ${detail || `exit code ${code}`}`));
+            }
+            return finish(null, Buffer.concat(stdout));
+        });
+        // A failing openssl may close stdin early; its exit code reports the problem
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Split a message into its transport headers and its MIME entity
+ * @param {Buffer} message - CRLF message
+ * @returns {Object} `{headers, entity}`: header lines that stay outside, and the entity to wrap
+ */
+function split_message(message) {
+    const separator = message.indexOf('\r\n\r\n');
+    const header_text = (separator >= 0 ? message.subarray(0, separator) : message).toString('latin1');
+    const body = separator >= 0 ? message.subarray(separator + 4) : Buffer.alloc(0);
+
+    const fields = [];
+    for (const line of header_text.split('\r\n')) {
+        if (/^[ \t]/.test(line) && fields.length > 0) {
+            fields[fields.length - 1].push(line);
+        } else if (line) {
+            fields.push([line]);
+        }
+    }
+
+    const is_content = (field) => /^content-/i.test(field[0]);
+    const headers = fields.filter((field) => !is_content(field) && !/^mime-version\s*:/i.test(field[0])).flat();
+    const content_headers = fields.filter(is_content).flat();
+    if (!content_headers.some((line) => /^content-type\s*:/i.test(line))) {
+        // RFC 2045 default, made explicit now that the entity moves inside another part
+        content_headers.unshift('Content-Type: text/plain; charset=us-ascii');
+    }
+
+    return {
+        headers,
+        entity: Buffer.concat([Buffer.from(`${content_headers.join('\r\n')}\r\n\r\n`, 'latin1'), body])
+    };
+}
+
+function base64_body(der) {
+    return der.toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+}
+
+async function sign_entity(entity, signer, options) {
+    const args = ['cms', '-sign', '-binary', '-md', 'sha256', '-outform', 'DER',
+        '-signer', signer.certificate_path, '-inkey', signer.private_key_path];
+    if (signer.chain_path) args.push('-certfile', signer.chain_path);
+
+    const signature = await run_openssl(args, entity, options);
+    const boundary = `boundary-signed-${crypto.randomUUID()}`;
+
+    // The signed entity must reach the recipient byte for byte, so it is copied as is
+    return Buffer.concat([
+        Buffer.from([
+            `Content-Type: multipart/signed; protocol="application/pkcs7-signature"; micalg=sha-256; boundary="${boundary}"`,
+            '',
+            `--${boundary}`,
+            ''
+        ].join('\r\n'), 'latin1'),
+        entity,
+        Buffer.from([
+            '',
+            `--${boundary}`,
+            'Content-Type: application/pkcs7-signature; name="smime.p7s"',
+            'Content-Transfer-Encoding: base64',
+            'Content-Disposition: attachment; filename="smime.p7s"',
+            '',
+            base64_body(signature),
+            `--${boundary}--`,
+            ''
+        ].join('\r\n'), 'latin1')
+    ]);
+}
+
+async function encrypt_entity(entity, certificates, options) {
+    // openssl reads recipient certificates from files only
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'elektrine-smime-'));
+    try {
+        const paths = await Promise.all(certificates.map(async (pem, index) => {
+            const certificate_path = path.join(dir, `recipient-${index}.pem`);
+            await fs.promises.writeFile(certificate_path, pem, { mode: 0o600 });
+            return certificate_path;
+        }));
+        const enveloped = await run_openssl(['cms', '-encrypt', '-binary', '-aes-256-cbc', '-outform', 'DER', ...paths], entity, options);
+
+        return Buffer.from([
+            'Content-Type: application/pkcs7-mime; smime-type=enveloped-data; name="smime.p7m"',
+            'Content-Transfer-Encoding: base64',
+            'Content-Disposition: attachment; filename="smime.p7m"',
+            '',
+            base64_body(enveloped),
+            ''
+        ].join('\r\n'), 'latin1');
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Sign and/or encrypt a message
+ * @param {Buffer} message - Complete CRLF message
+ * @param {Object} options - Options
+ * @param {Object} [options.signer] - `{certificate_path, private_key_path, chain_path}` to sign with
+ * @param {string[]} [options.recipient_certificates] - PEM certificates to encrypt for
+ * @param {string} [options.openssl] - openssl binary (default: openssl from PATH)
+ * @param {number} options.timeout_ms - Timeout per openssl run
+ * @returns {Promise<Buffer>} Wrapped message
+ */
+async function wrap(message, options) {
+    const { headers, entity } = split_message(message);
+    let wrapped = entity;
+
+    if (options.signer) wrapped = await sign_entity(wrapped, options.signer, options);
+    if (options.recipient_certificates) {
+        wrapped = await encrypt_entity(wrapped, options.recipient_certificates, options);
+    }
+
+    return Buffer.concat([Buffer.from(`${[...headers, 'MIME-Version: 1.0'].join('\r\n')}\r\n`, 'latin1'), wrapped]);
+}
+
+module.exports = {
+    sender_dir,
+    split_certificates,
+    certificate_is_current,
+    describe_certificate,
+    validate_credentials,
+    match_recipients,
+    wrap
+};
@@ -0,0 +1,141 @@
+/**
+ * SMTPUTF8 Capability Probe
+ *
+ * Addresses with a UTF-8 local part can only be delivered to mail servers
+ * that advertise SMTPUTF8 (RFC 6531) in their EHLO reply; Haraka outbound
+ * would otherwise bounce them after the fact. This module connects to a
+ * domain's MX, reads the EHLO keywords and QUITs, so the HTTP API can reject
+ * such sends up front. Results are cached per domain.
+ */
+
+'use strict';
+
+const dns = require('dns');
+const net = require('net');
+
+// Later MX hosts are rarely configured differently; do not wait on all of them
+const MAX_EXCHANGES_TRIED = 3;
+
+// Domain -> { supported, exchange, expires_at }
+const cache = new Map();
+
+/**
+ * MX hosts of a domain, most preferred first
+ * @param {string} domain - ASCII domain
+ * @returns {Promise<string[]>} Hosts; the domain itself when it has no MX (RFC 5321 5.1)
+ */
+async function resolve_exchanges(domain) {
+    try {
+        const records = await dns.promises.resolveMx(domain);
+        // A null MX (RFC 7505) means the domain accepts no mail at all
+        if (records.length === 1 && (records[0].exchange === '' || records[0].exchange === '.')) {
+            throw new Error(`${domain} does not accept mail (null MX)`);
+        }
+        return records.sort((a, b) => a.priority - b.priority).map((record) => record.exchange);
+    } catch (err) {
+        if (err.code === 'ENODATA') return [domain];
+        throw err;
+    }
+}
+
+/**
+ * Read the EHLO keywords of an SMTP server
+ * @param {string} host - Host to connect to
+ * @param {Object} options - Options
+ * @param {number} [options.port] - SMTP port (default: 25)
+ * @param {string} options.helo - Name to send in EHLO
+ * @param {number} options.timeout_ms - Timeout for the whole exchange
+ * @returns {Promise<string[]>} Upper-cased EHLO keywords, such as SMTPUTF8 and 8BITMIME
+ */
+function ehlo_keywords(host, options) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port: options.port || 25 });
+        let buffer = '';
+        let lines = [];
+        let stage = 'greeting';
+        let settled = false;
+
+        const finish = (err, keywords) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (err) {
+                socket.destroy();
+                reject(err);
+            } else {
+                socket.end('QUIT\r\n');
+                resolve(keywords);
+            }
+        };
+
+        const timer = setTimeout(() => finish(new Error(`${host} did not answer EHLO within ${options.timeout_ms}ms`)), options.timeout_ms);
+
+        const on_reply = (code) => {
+            if (stage === 'greeting') {
+                if (code !== 220) return finish(new Error(`${host} greeted with ${code}`));
+                stage = 'ehlo';
+                socket.write(`EHLO ${options.helo}\r\n`);
+                return undefined;
+            }
+
+            if (code !== 250) return finish(new Error(`${host} rejected EHLO with ${code}`));
+            // The first line is the server name; each further line is one extension
+            return finish(null, lines.slice(1).map((line) => line.slice(4).trim().split(/\s+/)[0].toUpperCase()));
+        };
+
+        socket.setEncoding('latin1');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, index).replace(/\r$/, '');
+                buffer = buffer.slice(index + 1);
+                lines.push(line);
+                // "250-" continues a reply, "250 " ends it
+                if (/^\d{3}(?: |$)/.test(line)) {
+                    on_reply(parseInt(line.slice(0, 3), 10));
+                    lines = [];
+                }
+            }
+        });
+        socket.on('error', (err) => finish(err));
+        socket.on('close', () => finish(new Error(`${host} closed the connection during EHLO`)));
+    });
+}
+
+/**
+ * Check whether the mail servers of a domain accept SMTPUTF8
+ * @param {string} domain - ASCII domain
+ * @param {Object} options - Options
+ * @param {string} options.helo - Name to send in EHLO
+ * @param {number} options.timeout_ms - Timeout per MX host
+ * @param {number} options.cache_ttl_ms - How long a result is reused
+ * @param {number} [options.port] - SMTP port (default: 25)
+ * @returns {Promise<Object>} `{supported, exchange}`; rejects when no MX host could be asked
+ */
+async function supports_smtputf8(domain, options) {
+    const cached = cache.get(domain);
+    if (cached && cached.expires_at > Date.now()) {
+        return { supported: cached.supported, exchange: cached.exchange };
+    }
+
+    const exchanges = (await resolve_exchanges(domain)).slice(0, MAX_EXCHANGES_TRIED);
+    let last_error = null;
+
+    for (const exchange of exchanges) {
+        try {
+            const keywords = await ehlo_keywords(exchange, options);
+            const result = { supported: keywords.includes('SMTPUTF8'), exchange };
+            cache.set(domain, { ...result, expires_at: Date.now() + options.cache_ttl_ms });
+            return result;
+        } catch (err) {
+            last_error = err;
+        }
+    }
+
+    throw last_error || new Error(`No mail servers found for ${domain}`);
+}
+
+module.exports = {
+    supports_smtputf8
+};
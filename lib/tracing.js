@@ -0,0 +1,285 @@
+/**
+ * Distributed Tracing
+ *
+ * Minimal OpenTelemetry-compatible tracer for following an inbound message
+ * from the SMTP queue hook through Redis and the worker to Phoenix. Trace
+ * context travels as a W3C `traceparent` string: in the queued envelope
+ * between processes and as an HTTP header towards Phoenix.
+ *
+ * Finished spans are batched and exported as OTLP/JSON, either posted to a
+ * collector (`<endpoint>/v1/traces`) or appended to a file, one export
+ * request per line. With tracing off, spans record nothing but an incoming
+ * traceparent is still passed on unchanged.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const http_client = require('./http-client');
+
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+const MAX_BATCH_SPANS = 512;
+const MAX_BUFFERED_SPANS = 4096;
+const FLUSH_INTERVAL_MS = 5000;
+
+const TRACEPARENT_RE = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const state = {
+    exporter: 'none',
+    cfg: null,
+    service_name: 'elektrine-haraka',
+    logger: null,
+    buffer: [],
+    dropped: 0,
+    timer: null,
+    flushing: null
+};
+
+/**
+ * Parse a W3C traceparent header value
+ * @param {string} value - traceparent
+ * @returns {Object|null} `{trace_id, span_id, sampled}`
+ */
+function parse_traceparent(value) {
+    const match = TRACEPARENT_RE.exec(String(value || '').trim().toLowerCase());
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+
+    return {
+        trace_id: match[1],
+        span_id: match[2],
+        sampled: (parseInt(match[3], 16) & 1) === 1
+    };
+}
+
+function format_traceparent(trace_id, span_id, sampled) {
+    return `00-${trace_id}-${span_id}-${sampled ? '01' : '00'}`;
+}
+
+function to_attribute(key, value) {
+    if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+    if (typeof value === 'number') {
+        return Number.isInteger(value)
+            ? { key, value: { intValue: String(value) } }
+            : { key, value: { doubleValue: value } };
+    }
+    return { key, value: { stringValue: String(value) } };
+}
+
+function resolve_parent(parent) {
+    if (!parent) return null;
+    if (typeof parent === 'string') return parse_traceparent(parent);
+    return parent.context || null;
+}
+
+/**
+ * Start a span
+ * @param {string} name - Span name
+ * @param {Object} [options] - Options
+ * @param {Object|string} [options.parent] - Parent span or traceparent string
+ * @param {string} [options.kind] - internal, server, client, producer or consumer
+ * @param {Object} [options.attributes] - Initial attributes (undefined values are skipped)
+ * @returns {Object} Span with set_attributes(), record_error(), end() and traceparent()
+ */
+function start_span(name, options = {}) {
+    const parent = resolve_parent(options.parent);
+    const recording = state.exporter !== 'none'
+        && (parent ? parent.sampled : Math.random() < state.cfg.tracing_sample_ratio);
+
+    if (state.exporter === 'none') {
+        // Nothing to record, but keep an incoming context flowing downstream
+        const passthrough = parent ? format_traceparent(parent.trace_id, parent.span_id, parent.sampled) : null;
+        return {
+            context: parent,
+            recording: false,
+            set_attributes() {},
+            record_error() {},
+            end() {},
+            traceparent: () => passthrough
+        };
+    }
+
+    const context = {
+        trace_id: parent ? parent.trace_id : crypto.randomBytes(16).toString('hex'),
+        span_id: crypto.randomBytes(8).toString('hex'),
+        sampled: recording
+    };
+    const attributes = {};
+    // Wall clock for the start, monotonic clock for the duration
+    const started_unix_ns = BigInt(Date.now()) * 1000000n;
+    const started_hr = process.hrtime.bigint();
+    let status = null;
+    let ended = false;
+
+    const span = {
+        context,
+        recording,
+        set_attributes(values) {
+            Object.entries(values || {}).forEach(([key, value]) => {
+                if (value !== undefined && value !== null) attributes[key] = value;
+            });
+        },
+        record_error(err) {
+            status = { code: STATUS_ERROR, message: err && err.message ? err.message : String(err) };
+            span.set_attributes({ 'error.type': err && (err.code || err.status || err.name) });
+        },
+        /**
+         * Finish the span
+         * @param {Error} [err] - Marks the span as failed
+         */
+        end(err) {
+            if (ended) return;
+            ended = true;
+            if (err) span.record_error(err);
+            if (!recording) return;
+
+            enqueue_span({
+                traceId: context.trace_id,
+                spanId: context.span_id,
+                parentSpanId: parent ? parent.span_id : undefined,
+                name,
+                kind: SPAN_KINDS[options.kind] || SPAN_KINDS.internal,
+                startTimeUnixNano: started_unix_ns.toString(),
+                endTimeUnixNano: (started_unix_ns + process.hrtime.bigint() - started_hr).toString(),
+                attributes: Object.entries(attributes).map(([key, value]) => to_attribute(key, value)),
+                status: status || { code: STATUS_OK }
+            });
+        },
+        traceparent: () => format_traceparent(context.trace_id, context.span_id, context.sampled)
+    };
+
+    span.set_attributes(options.attributes);
+    return span;
+}
+
+function enqueue_span(span) {
+    if (state.buffer.length >= MAX_BUFFERED_SPANS) {
+        // The exporter is not keeping up; shed new spans rather than grow without bound
+        state.dropped += 1;
+        return;
+    }
+
+    state.buffer.push(span);
+    if (state.buffer.length >= MAX_BATCH_SPANS) flush().catch(() => {});
+}
+
+function build_export_request(spans) {
+    return {
+        resourceSpans: [{
+            resource: {
+                attributes: [
+                    to_attribute('service.name', state.service_name),
+                    to_attribute('service.instance.id', `${os.hostname()}:${process.pid}`),
+                    ...(state.cfg.role ? [to_attribute('elektrine.role', state.cfg.role)] : [])
+                ]
+            },
+            scopeSpans: [{
+                scope: { name: 'elektrine-haraka' },
+                spans
+            }]
+        }]
+    };
+}
+
+async function export_spans(spans) {
+    const body = build_export_request(spans);
+
+    if (state.exporter === 'file') {
+        await fs.promises.appendFile(state.cfg.tracing_file, `${JSON.stringify(body)}\n`, { mode: 0o640 });
+        return;
+    }
+
+    await http_client.request({
+        url: `${state.cfg.tracing_endpoint.replace(/\/+$/, '')}/v1/traces`,
+        method: 'POST',
+        data: body,
+        timeout: 10000
+    });
+}
+
+/**
+ * Export all buffered spans
+ * @returns {Promise<void>} Resolves once the export finished (failures are logged, not thrown)
+ */
+function flush() {
+    if (state.flushing) return state.flushing;
+    if (state.buffer.length === 0) return Promise.resolve();
+
+    const batch = state.buffer.splice(0, MAX_BATCH_SPANS);
+    const dropped = state.dropped;
+    state.dropped = 0;
+
+    state.flushing = export_spans(batch)
+        .catch((err) => {
+            if (state.logger) {
+                state.logger.warn('trace_export_failed', {
+                    exporter: state.exporter,
+                    spans: batch.length,
+                    message: err.message
+                });
+            }
+        })
+        .then(() => {
+            if (dropped && state.logger) state.logger.warn('trace_spans_dropped', { spans: dropped });
+        })
+        .finally(() => {
+            state.flushing = null;
+        })
+        .then(() => (state.buffer.length >= MAX_BATCH_SPANS ? flush() : undefined));
+
+    return state.flushing;
+}
+
+/**
+ * Configure tracing for this process; later calls only update the settings
+ * @param {Object} cfg - Loaded configuration (tracing_*)
+ * @param {Object} [options] - Options
+ * @param {string} [options.service_name] - OTLP service.name
+ * @param {Object} [options.logger] - Telemetry logger for export failures
+ * @returns {boolean} True when spans are exported
+ */
+function init(cfg, options = {}) {
+    const exporter = ['otlp', 'file'].includes(cfg.tracing_exporter) ? cfg.tracing_exporter : 'none';
+    if (exporter === 'file' && !cfg.tracing_file) {
+        if (options.logger) options.logger.warn('tracing_disabled', { message: 'tracing_exporter is file but no tracing_file is set' });
+        state.exporter = 'none';
+        return false;
+    }
+
+    state.exporter = exporter;
+    state.cfg = cfg;
+    state.service_name = cfg.tracing_service_name || options.service_name || state.service_name;
+    state.logger = options.logger || state.logger;
+
+    if (exporter !== 'none' && !state.timer) {
+        state.timer = setInterval(() => flush().catch(() => {}), FLUSH_INTERVAL_MS);
+        // Never keep a process alive just to export spans
+        if (state.timer.unref) state.timer.unref();
+    }
+
+    return exporter !== 'none';
+}
+
+/**
+ * Export what is buffered and stop the flush timer
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+    if (state.timer) clearInterval(state.timer);
+    state.timer = null;
+    while (state.buffer.length > 0 || state.flushing) {
+        await flush();
+    }
+}
+
+module.exports = {
+    init,
+    start_span,
+    flush,
+    shutdown,
+    parse_traceparent
+};
@@ -16,6 +16,19 @@ const {
 } = require('../lib');
 const queue_lib = require('../lib/queue-client');
 const telemetry = require('../lib/telemetry');
+const metrics = require('../lib/metrics');
+const tracing = require('../lib/tracing');
+
+const enqueue_total = metrics.registry.counter(
+    'elektrine_inbound_enqueue_total',
+    'Inbound messages handed to the Redis queue, by outcome (queued, rejected, deferred)',
+    { labels: ['outcome'] }
+);
+const enqueue_duration = metrics.registry.histogram(
+    'elektrine_inbound_enqueue_duration_seconds',
+    'Time from the queue hook to the message being pushed to Redis',
+    { labels: ['outcome'] }
+);
 
 function parse_stream_data(arg1, arg2) {
     if (arg2 !== undefined) {
@@ -86,6 +99,8 @@ exports.register = function () {
     this.load_config();
     this.logger = telemetry.create_plugin_logger(this, 'async_queue');
     this.queue_client = new queue_lib.QueueClient(this.cfg, this.logger);
+    metrics.serve({ port: this.cfg.metrics_port, host: this.cfg.metrics_host, logger: this.logger });
+    tracing.init(this.cfg, { service_name: 'elektrine-haraka', logger: this.logger });
 
     domains.init((msg) => this.logger.info('domains_init', { message: msg }))
         .then(() => {
@@ -114,6 +129,7 @@ exports.enqueue_inbound_message = function (next, connection) {
 
     if (!plugin.cfg.webhook_enabled) {
         plugin.logger.warn('queue_disabled');
+        enqueue_total.inc({ outcome: 'deferred' });
         return next(constants.DENYSOFT, 'Inbound processing is temporarily disabled');
     }
 
@@ -129,9 +145,21 @@ exports.enqueue_inbound_message = function (next, connection) {
             transaction_id: transaction.uuid,
             recipients: rcpt_to
         });
+        enqueue_total.inc({ outcome: 'rejected' });
         return next(constants.DENY, 'Inbound role only accepts local recipients');
     }
 
+    const end_timer = enqueue_duration.start_timer();
+    const span = tracing.start_span('inbound.enqueue', {
+        kind: 'producer',
+        attributes: {
+            'messaging.system': 'redis',
+            'messaging.destination.name': plugin.cfg.queue_name,
+            'elektrine.transaction_id': transaction.uuid,
+            'elektrine.rcpt_count': rcpt_to.length
+        }
+    });
+
     read_transaction_raw(transaction)
         .then((raw_buffer) => {
             if (raw_buffer.length > plugin.cfg.queue_max_raw_bytes) {
@@ -157,23 +185,33 @@ exports.enqueue_inbound_message = function (next, connection) {
                 } : null,
                 tls: Boolean(connection.tls),
                 spamassassin: transaction_spam_notes(transaction),
+                // Lets the worker continue this trace
+                trace_context: span.traceparent() ? { traceparent: span.traceparent() } : undefined,
                 raw_rfc822_base64: raw_buffer.toString('base64')
             };
+            span.set_attributes({ 'messaging.message.id': message_id, 'messaging.message.body.size': raw_buffer.length });
 
             return plugin.queue_client.enqueue(plugin.cfg.queue_name, payload)
                 .then(() => {
+                    end_timer({ outcome: 'queued' });
+                    enqueue_total.inc({ outcome: 'queued' });
+                    span.end();
                     plugin.logger.info('message_enqueued', {
                         transaction_id: transaction.uuid,
                         message_id,
                         rcpt_count: rcpt_to.length,
                         bytes: payload.data_bytes,
-                        queue: plugin.cfg.queue_name
+                        queue: plugin.cfg.queue_name,
+                        trace_id: span.context ? span.context.trace_id : undefined
                     });
 
                     return next(constants.OK, 'Queued for async processing');
                 });
         })
         .catch((err) => {
+            end_timer({ outcome: 'deferred' });
+            enqueue_total.inc({ outcome: 'deferred' });
+            span.end(err);
             plugin.logger.error('enqueue_failed', {
                 transaction_id: transaction.uuid,
                 message: err.message
@@ -4,14 +4,21 @@
  * Provides a REST API endpoint for sending emails via Haraka.
  * Supports structured email data and raw MIME format.
  * 
- * Endpoint: POST /api/v1/send
- * Authentication: X-API-Key header
+ * Endpoints: POST /api/v1/send (JSON or multipart/form-data), POST /api/v1/send/batch, GET /api/v1/messages/:id,
+ *            GET/DELETE /api/v1/scheduled/:id, GET/DELETE /api/v1/quotas/:scope/:subject,
+ *            GET /api/v1/openapi.json
+ * Ops: GET /status, /healthz, /metrics, /ops/queues; GET /ops/queue, GET/DELETE /ops/queue/:id,
+ *      POST /ops/queue/:id/retry, POST /ops/queue/:id/bounce (ops allowlist or ops:* key)
+ * Authentication: X-API-Key header or HMAC signature (X-Elektrine-Signature),
+ *                 checked against named keys in http_api_keys.ini
+ * Errors: {success: false, error, code, request_id} with codes from lib/api-errors.js
  */
 
 'use strict';
 
 const fs = require('fs');
 const http = require('http');
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
 const net = require('net');
@@ -19,6 +26,31 @@ const constants = require('haraka-constants');
 
 // Shared library modules
 const { config, domains, email: emailBuilder } = require('../lib');
+const queue_lib = require('../lib/queue-client');
+const delivery_status = require('../lib/delivery-status');
+const delivery_events = require('../lib/delivery-events');
+const idempotency = require('../lib/idempotency-store');
+const { ScheduledStore } = require('../lib/scheduled-store');
+const { SignatureReplayStore } = require('../lib/signature-replay');
+const telemetry = require('../lib/telemetry');
+const api_keys = require('../lib/api-keys');
+const signing = require('../lib/signing');
+const sender_policy = require('../lib/sender-policy');
+const rate_limiter = require('../lib/rate-limiter');
+const send_quota = require('../lib/send-quota');
+const json_schema = require('../lib/json-schema');
+const openapi = require('../lib/openapi');
+const api_errors = require('../lib/api-errors');
+const multipart = require('../lib/multipart');
+const raw_message = require('../lib/raw-message');
+const send_limits = require('../lib/send-limits');
+const outbound_queue = require('../lib/outbound-queue');
+const health = require('../lib/health');
+const metrics = require('../lib/metrics');
+const queue_stats = require('../lib/queue-stats');
+const smtputf8 = require('../lib/smtputf8');
+const calendar = require('../lib/calendar');
+const smime = require('../lib/smime');
 
 // Maximum request body size (50MB - handles large attachments)
 const MAX_BODY_SIZE = 50 * 1024 * 1024;
@@ -26,6 +58,40 @@ const MAX_BODY_SIZE = 50 * 1024 * 1024;
 // Request body read timeout (30 seconds)
 const BODY_READ_TIMEOUT_MS = 30000;
 
+// Deferral errors remembered for /ops/queue
+const QUEUE_ERROR_CACHE_SIZE = 10000;
+
+// plugin.stats counters exported on /metrics: stat -> [metric name, HELP]
+const STAT_METRICS = {
+    requests_total: ['elektrine_http_api_requests_total', 'Total HTTP requests handled'],
+    auth_failures: ['elektrine_http_api_auth_failures_total', 'Authentication failures'],
+    rate_limited: ['elektrine_http_api_rate_limited_total', 'Requests rejected by rate limit'],
+    sent_ok: ['elektrine_http_api_sent_ok_total', 'Successful send requests'],
+    sent_error: ['elektrine_http_api_sent_error_total', 'Failed send requests'],
+    dkim_sync_ok: ['elektrine_http_api_dkim_sync_ok_total', 'Successful DKIM sync requests'],
+    dkim_sync_error: ['elektrine_http_api_dkim_sync_error_total', 'Failed DKIM sync requests'],
+    dkim_delete_ok: ['elektrine_http_api_dkim_delete_ok_total', 'Successful DKIM delete requests'],
+    dkim_delete_error: ['elektrine_http_api_dkim_delete_error_total', 'Failed DKIM delete requests'],
+    idempotent_replays: ['elektrine_http_api_idempotent_replays_total', 'Send requests answered from the idempotency store'],
+    batch_requests: ['elektrine_http_api_batch_requests_total', 'Batch send requests handled'],
+    scheduled_ok: ['elektrine_http_api_scheduled_total', 'Scheduled sends accepted'],
+    scheduled_canceled: ['elektrine_http_api_scheduled_canceled_total', 'Scheduled sends canceled before delivery'],
+    scheduled_dispatched: ['elektrine_http_api_scheduled_dispatched_total', 'Scheduled sends handed to outbound'],
+    scheduled_failed: ['elektrine_http_api_scheduled_failed_total', 'Scheduled sends dropped after exhausting retries'],
+    scope_denied: ['elektrine_http_api_scope_denied_total', 'Authenticated requests rejected for a missing key scope'],
+    validation_failed: ['elektrine_http_api_validation_failed_total', 'Request bodies rejected by schema validation'],
+    multipart_requests: ['elektrine_http_api_multipart_requests_total', 'Sends received as multipart/form-data'],
+    send_limit_rejected: ['elektrine_http_api_send_limit_rejected_total', 'Sends rejected by recipient, attachment or size limits'],
+    queue_actions: ['elektrine_http_api_queue_actions_total', 'Outbound queue items retried, dropped or bounced via /ops/queue'],
+    signature_failures: ['elektrine_http_api_signature_failures_total', 'Signed requests rejected (unknown key, skew, mismatch or replay)'],
+    sender_blocked: ['elektrine_http_api_sender_blocked_total', 'Sends that violated the sender policy'],
+    quota_exceeded: ['elektrine_http_api_quota_exceeded_total', 'Sends refused by a sender or domain quota'],
+    smtputf8_rejected: ['elektrine_http_api_smtputf8_rejected_total', 'Sends with UTF-8 addresses refused because a recipient MX lacks SMTPUTF8'],
+    smime_signed: ['elektrine_http_api_smime_signed_total', 'Messages signed with S/MIME'],
+    smime_encrypted: ['elektrine_http_api_smime_encrypted_total', 'Messages encrypted with S/MIME'],
+    smime_failed: ['elektrine_http_api_smime_failed_total', 'Sends refused for a missing S/MIME certificate or a failed openssl run']
+};
+
 exports.register = function() {
     const plugin = this;
 
@@ -41,16 +107,41 @@ exports.register = function() {
         dkim_sync_ok: 0,
         dkim_sync_error: 0,
         dkim_delete_ok: 0,
-        dkim_delete_error: 0
+        dkim_delete_error: 0,
+        idempotent_replays: 0,
+        batch_requests: 0,
+        scheduled_ok: 0,
+        scheduled_canceled: 0,
+        scheduled_dispatched: 0,
+        scheduled_failed: 0,
+        scope_denied: 0,
+        signature_failures: 0,
+        sender_blocked: 0,
+        quota_exceeded: 0,
+        smtputf8_rejected: 0,
+        smime_signed: 0,
+        smime_encrypted: 0,
+        smime_failed: 0,
+        validation_failed: 0,
+        multipart_requests: 0,
+        send_limit_rejected: 0,
+        queue_actions: 0,
+        key_requests: {}
     };
+    plugin.register_metrics();
+
+    plugin.load_api_keys();
 
     // Validate critical config at startup
-    if (!plugin.cfg.http_api_key || plugin.cfg.http_api_key === 'elektrine_webhook_key_default') {
-        plugin.logerror('CRITICAL: HTTP API key is not configured. Set HARAKA_HTTP_API_KEY environment variable.');
+    if (plugin.cfg.http_api_key === 'elektrine_webhook_key_default') {
+        plugin.logerror('CRITICAL: HTTP API key is set to the insecure default. Set HARAKA_HTTP_API_KEY environment variable.');
+    }
+    if (plugin.api_keys.length === 0) {
+        plugin.logerror('CRITICAL: No HTTP API keys configured. Set HARAKA_HTTP_API_KEY or add keys to http_api_keys.ini.');
     }
 
-    // Initialize rate limiting storage
-    plugin.rate_limit_storage = new Map();
+    // Last deferral error per Haraka queue uuid, for the /ops/queue listing
+    plugin.queue_errors = new Map();
     plugin.allowlists = {
         trusted_proxies: null,
         ops: null,
@@ -58,8 +149,41 @@ exports.register = function() {
     };
     plugin.rebuild_allowlists();
 
+    // Delivery status tracking shares the Redis connection settings of the async queue
+    plugin.logger = telemetry.create_plugin_logger(plugin, 'http_api');
+    plugin.queue_client = new queue_lib.QueueClient(plugin.cfg, plugin.logger);
+    plugin.status_store = new delivery_status.DeliveryStatusStore(plugin.queue_client, plugin.cfg, plugin.logger);
+    plugin.idempotency_store = new idempotency.IdempotencyStore(plugin.queue_client, plugin.cfg, plugin.logger);
+    plugin.scheduled_store = new ScheduledStore(plugin.queue_client, plugin.cfg, plugin.logger);
+    plugin.signature_replay_store = new SignatureReplayStore(plugin.queue_client, plugin.cfg, plugin.logger);
+    plugin.rate_limiter = rate_limiter.create_rate_limiter(plugin.cfg, plugin.queue_client, plugin.logger);
+    plugin.quota_store = new send_quota.SendQuotaStore(plugin.queue_client, plugin.cfg, plugin.logger);
+    plugin.queue_sampler = queue_stats.create_sampler(plugin.queue_client, plugin.cfg, plugin.logger);
+    plugin.event_publisher = new delivery_events.DeliveryEventPublisher(plugin.queue_client, plugin.cfg, plugin.logger);
+
+    if (plugin.cfg.events_url) {
+        plugin.loginfo(`Publishing outbound delivery events to ${plugin.cfg.events_url}`);
+    }
+
+    plugin.register_hook('delivered', 'record_delivered');
+    plugin.register_hook('deferred', 'record_deferred');
+    plugin.register_hook('bounce', 'record_bounce');
+
     // Start HTTP server
     plugin.start_server();
+    plugin.start_scheduled_poller();
+    plugin.queue_sampler.start();
+    plugin.event_publisher.start();
+};
+
+exports.shutdown = function() {
+    const plugin = this;
+    if (plugin.scheduled_timer) {
+        clearInterval(plugin.scheduled_timer);
+        plugin.scheduled_timer = null;
+    }
+    if (plugin.queue_sampler) plugin.queue_sampler.stop();
+    if (plugin.event_publisher) plugin.event_publisher.stop();
 };
 
 exports.load_config = function() {
@@ -77,7 +201,26 @@ exports.load_config = function() {
     });
 
     plugin.cfg = config.load(haraka_cfg);
+    plugin.request_schemas = openapi.build_schemas(plugin.cfg);
     plugin.rebuild_allowlists();
+    if (plugin.api_key_sections) plugin.rebuild_api_keys();
+};
+
+exports.load_api_keys = function() {
+    const plugin = this;
+
+    plugin.api_key_sections = plugin.config.get('http_api_keys.ini', function() {
+        plugin.load_api_keys();
+    });
+    plugin.rebuild_api_keys();
+};
+
+exports.rebuild_api_keys = function() {
+    const plugin = this;
+    plugin.api_keys = api_keys.build_registry(plugin.api_key_sections, plugin.cfg.http_api_key, (message) => {
+        plugin.logwarn(message);
+    });
+    plugin.loginfo(`Loaded ${plugin.api_keys.length} HTTP API key(s): ${plugin.api_keys.map((entry) => entry.name).join(', ') || 'none'}`);
 };
 
 exports.start_server = function() {
@@ -100,20 +243,38 @@ exports.handle_request = function(req, res) {
     plugin.stats.requests_total += 1;
     const request_path = plugin.get_request_path(req);
 
+    // Echoed on every response and in error logs so a caller's report can be matched to our logs
+    res.setHeader('X-Request-Id', plugin.get_request_id(req));
+
     if (req.method === 'GET' && (request_path === '/status' || request_path === '/healthz')) {
         if (!plugin.is_ops_request_allowed(req, request_path)) {
-            return plugin.send_response(res, 403, { ok: false, error: 'Forbidden' });
+            return plugin.send_error(res, 'forbidden');
         }
-        return plugin.send_response(res, 200, {
-            ok: true,
-            role: plugin.cfg.role,
-            started_at: plugin.stats.started_at
-        });
+        // Liveness: the process answers. Readiness (/status) also checks dependencies.
+        if (request_path === '/healthz') {
+            return plugin.send_response(res, 200, {
+                ok: true,
+                role: plugin.cfg.role,
+                started_at: plugin.stats.started_at
+            });
+        }
+        return plugin.process_readiness_request(res);
+    }
+
+    if (req.method === 'GET' && request_path === '/ops/queues') {
+        if (!plugin.is_ops_request_allowed(req, request_path)) {
+            return plugin.send_error(res, 'forbidden');
+        }
+        return plugin.process_queue_stats_request(res);
+    }
+
+    if (request_path === '/ops/queue' || request_path.startsWith('/ops/queue/')) {
+        return plugin.handle_queue_admin_request(req, res, request_path);
     }
 
     if (req.method === 'GET' && request_path === '/metrics') {
         if (!plugin.is_ops_request_allowed(req, request_path)) {
-            return plugin.send_response(res, 403, { ok: false, error: 'Forbidden' });
+            return plugin.send_error(res, 'forbidden');
         }
         return plugin.send_metrics(res);
     }
@@ -124,7 +285,11 @@ exports.handle_request = function(req, res) {
         res.setHeader('Access-Control-Allow-Origin', allowed_origin);
     }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+    res.setHeader(
+        'Access-Control-Allow-Headers',
+        'Content-Type, X-API-Key, Idempotency-Key, X-Request-Id, X-Elektrine-Key-Id, X-Elektrine-Timestamp, X-Elektrine-Signature'
+    );
+    res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
 
     // Handle preflight
     if (req.method === 'OPTIONS') {
@@ -133,32 +298,117 @@ exports.handle_request = function(req, res) {
         return;
     }
 
-    const route = plugin.resolve_api_route(req.method, request_path);
+    const route = plugin.resolve_api_route(req.method, request_path, plugin.get_header_value(req, 'content-type'));
     if (!route) {
         plugin.logwarn(
             `Unmatched HTTP route method=${req.method || 'UNKNOWN'} url=${req.url || ''} path=${request_path}`
         );
-        return plugin.send_response(res, 404, { success: false, error: 'Not found' });
+        return plugin.send_error(res, 'not_found');
     }
 
-    if (!plugin.authenticate_api_request(req, res)) {
+    if (plugin.is_signed_request(req)) {
+        const signing_key = plugin.authenticate_signed_request_headers(req, res, route);
+        if (!signing_key) {
+            return;
+        }
+
+        // The signature covers the body, so it is verified once the body is in.
+        const read_body = route.multipart ? plugin.read_multipart_upload : plugin.read_request_body;
+        return read_body.call(plugin, req, res, (body) => {
+            plugin.verify_signed_request(req, res, signing_key, request_path, body)
+                .then((verified) => verified && plugin.check_rate_limit_or_reject(req, res, signing_key))
+                .then((allowed) => {
+                    if (allowed) plugin.dispatch_api_route(req, res, route, signing_key, body);
+                })
+                .catch((err) => plugin.reject_failed_dispatch(res, err));
+        });
+    }
+
+    const api_key = plugin.authenticate_api_request(req, res, route);
+    if (!api_key) {
         return;
     }
 
-    if (!plugin.check_rate_limit_or_reject(req, res)) {
+    plugin.check_rate_limit_or_reject(req, res, api_key)
+        .then((allowed) => {
+            if (allowed) plugin.dispatch_api_route(req, res, route, api_key);
+        })
+        .catch((err) => plugin.reject_failed_dispatch(res, err));
+};
+
+exports.reject_failed_dispatch = function(res, err) {
+    const plugin = this;
+
+    plugin.logerror(`HTTP request dispatch failed: ${err.message}`);
+    if (!res.headersSent) plugin.send_error(res, 'store_unavailable');
+};
+
+exports.dispatch_api_route = function(req, res, route, api_key, body) {
+    const plugin = this;
+
+    if (route.body && body === undefined) {
+        return plugin.read_request_body(req, res, (read_body) => {
+            plugin.dispatch_api_route(req, res, route, api_key, read_body);
+        });
+    }
+
+    if (route.multipart && body === undefined) {
+        return plugin.read_multipart_upload(req, res, (upload) => {
+            plugin.dispatch_api_route(req, res, route, api_key, upload);
+        });
+    }
+
+    // Multipart sends carry the JSON payload in their "metadata" part
+    const payload = route.multipart ? body.fields.metadata : body;
+    if (route.multipart && payload === undefined) {
+        return plugin.send_response(res, 400, plugin.validation_error_body([
+            { code: 'required', field: 'metadata', message: 'Multipart sends need a JSON "metadata" part' }
+        ]));
+    }
+
+    if (route.schema && !plugin.validate_request_body(route, payload, res)) {
         return;
     }
 
+    if (route.kind === 'openapi') {
+        return plugin.send_response(res, 200, openapi.build_document(plugin.cfg));
+    }
+
     if (route.kind === 'send') {
-        return plugin.read_request_body(req, res, (body) => {
-            plugin.process_send_request(body, res);
-        });
+        return plugin.process_idempotent_send_request(req, body, res, api_key);
+    }
+
+    if (route.kind === 'send_multipart') {
+        plugin.stats.multipart_requests += 1;
+        return plugin.process_idempotent_send_request(req, payload, res, api_key, body.files);
+    }
+
+    if (route.kind === 'send_batch') {
+        return plugin.process_batch_send_request(body, res, api_key);
+    }
+
+    if (route.kind === 'message_status') {
+        return plugin.process_message_status_request(route.message_id, res);
+    }
+
+    if (route.kind === 'scheduled_get') {
+        return plugin.process_scheduled_get_request(route.message_id, res);
+    }
+
+    if (route.kind === 'scheduled_cancel') {
+        return plugin.process_scheduled_cancel_request(route.message_id, res);
+    }
+
+    if (route.kind === 'quota_get') {
+        return plugin.process_quota_get_request(route.quota_scope, route.subject, res);
+    }
+
+    if (route.kind === 'quota_reset') {
+        return plugin.process_quota_reset_request(route.quota_scope, route.subject, res, api_key);
     }
 
     if (route.kind === 'dkim_upsert') {
-        return plugin.read_request_body(req, res, (body) => {
-            plugin.process_dkim_upsert_request(route.domain, body, res);
-        });
+        return plugin.process_dkim_upsert_request(route.domain, body, res);
     }
 
     if (route.kind === 'dkim_get') {
@@ -168,26 +418,115 @@ exports.handle_request = function(req, res) {
     if (route.kind === 'dkim_delete') {
         return plugin.process_dkim_delete_request(route.domain, res);
     }
+
+    if (route.kind === 'smime_upsert') {
+        return plugin.process_smime_upsert_request(route.address, body, res);
+    }
+
+    if (route.kind === 'smime_get') {
+        return plugin.process_smime_get_request(route.address, res);
+    }
+
+    if (route.kind === 'smime_delete') {
+        return plugin.process_smime_delete_request(route.address, res);
+    }
+};
+
+/**
+ * Validate a JSON request body against the route's OpenAPI schema
+ * @param {Object} route - Resolved route with a schema name
+ * @param {string} body - Raw request body
+ * @param {http.ServerResponse} res - Response, answered with 400 on failure
+ * @returns {boolean} True when the body is valid
+ */
+exports.validate_request_body = function(route, body, res) {
+    const plugin = this;
+    let payload;
+    let errors;
+
+    try {
+        payload = JSON.parse(body || '');
+        errors = json_schema.validate(plugin.request_schemas[route.schema], payload);
+    } catch (err) {
+        errors = [{ code: 'invalid_json', field: '', message: 'Invalid JSON' }];
+    }
+
+    if (errors.length === 0) return true;
+
+    plugin.stats.validation_failed += 1;
+    if (route.kind === 'dkim_upsert') plugin.stats.dkim_sync_error += 1;
+    plugin.logwarn(`Rejected ${route.kind} request: ${errors.map((error) => `${error.field || '-'}:${error.code}`).join(', ')}`);
+    plugin.send_response(res, 400, plugin.validation_error_body(
+        errors,
+        { dkim_upsert: 'dkim_key_invalid', smime_upsert: 'smime_certificate_invalid' }[route.kind] || 'invalid_request'
+    ));
+    return false;
+};
+
+exports.validation_error_body = function(errors, code = 'invalid_request') {
+    return api_errors.body(code, errors[0].message, { errors });
 };
 
-exports.resolve_api_route = function(method, request_path) {
+exports.resolve_api_route = function(method, request_path, content_type) {
     if (method === 'POST' && request_path === '/api/v1/send') {
-        return { kind: 'send' };
+        if (multipart.get_boundary(content_type)) {
+            return { kind: 'send_multipart', scope: 'send', multipart: true, schema: 'SendRequest' };
+        }
+        return { kind: 'send', scope: 'send', body: true, schema: 'SendRequest' };
+    }
+
+    if (method === 'POST' && request_path === '/api/v1/send/batch') {
+        return { kind: 'send_batch', scope: 'send', body: true, schema: 'BatchSendRequest' };
+    }
+
+    // Any valid key may fetch the API description, whatever its scopes
+    if (method === 'GET' && request_path === '/api/v1/openapi.json') {
+        return { kind: 'openapi' };
+    }
+
+    const status_message_id = this.get_message_id_from_path(request_path);
+    if (status_message_id) {
+        return method === 'GET' ? { kind: 'message_status', scope: 'send', message_id: status_message_id } : null;
+    }
+
+    const scheduled_message_id = this.get_scheduled_id_from_path(request_path);
+    if (scheduled_message_id) {
+        if (method === 'GET') return { kind: 'scheduled_get', scope: 'send', message_id: scheduled_message_id };
+        if (method === 'DELETE') return { kind: 'scheduled_cancel', scope: 'send', message_id: scheduled_message_id };
+        return null;
+    }
+
+    const quota_subject = this.get_quota_subject_from_path(request_path);
+    if (quota_subject) {
+        if (method === 'GET') return { kind: 'quota_get', scope: 'ops:read', ...quota_subject };
+        if (method === 'DELETE') return { kind: 'quota_reset', scope: 'ops:write', ...quota_subject };
+        return null;
+    }
+
+    const smime_address = this.get_smime_address_from_path(request_path);
+    if (smime_address) {
+        // S/MIME keys are stored and guarded like DKIM keys
+        if (method === 'GET') return { kind: 'smime_get', scope: 'smime:read', address: smime_address };
+        if (method === 'PUT') {
+            return { kind: 'smime_upsert', scope: 'smime:write', body: true, schema: 'SmimeUpsertRequest', address: smime_address };
+        }
+        if (method === 'DELETE') return { kind: 'smime_delete', scope: 'smime:write', address: smime_address };
+        return null;
     }
 
     const dkim_domain = this.get_dkim_domain_from_path(request_path);
     if (!dkim_domain) return null;
 
     if (method === 'GET') {
-        return { kind: 'dkim_get', domain: dkim_domain };
+        return { kind: 'dkim_get', scope: 'dkim:read', domain: dkim_domain };
     }
 
     if (method === 'PUT') {
-        return { kind: 'dkim_upsert', domain: dkim_domain };
+        return { kind: 'dkim_upsert', scope: 'dkim:write', body: true, schema: 'DkimUpsertRequest', domain: dkim_domain };
     }
 
     if (method === 'DELETE') {
-        return { kind: 'dkim_delete', domain: dkim_domain };
+        return { kind: 'dkim_delete', scope: 'dkim:write', domain: dkim_domain };
     }
 
     return null;
@@ -304,33 +643,238 @@ exports.constant_time_equal = function(received, expected) {
     return crypto.timingSafeEqual(received_buffer, expected_buffer);
 };
 
-exports.authenticate_api_request = function(req, res) {
+/**
+ * Authenticate a request and check the route's scope
+ * @returns {Object|null} Matching API key entry, or null after a 401/403 was sent
+ */
+exports.authenticate_api_request = function(req, res, route) {
     const plugin = this;
-    const api_key = plugin.get_header_value(req, 'x-api-key');
-    const expected_key = plugin.cfg.http_api_key || '';
+    const api_key = api_keys.find_key(plugin.api_keys, plugin.get_header_value(req, 'x-api-key'));
 
-    if (!plugin.constant_time_equal(api_key, expected_key)) {
+    if (!api_key) {
         plugin.stats.auth_failures += 1;
-        plugin.send_response(res, 401, { success: false, error: 'Unauthorized' });
-        return false;
+        plugin.send_error(res, 'unauthorized');
+        return null;
     }
 
-    return true;
+    if (api_key.require_signature) {
+        plugin.stats.auth_failures += 1;
+        plugin.send_error(res, 'signature_required');
+        return null;
+    }
+
+    return plugin.authorize_api_key(res, route, api_key);
 };
 
-exports.check_rate_limit_or_reject = function(req, res) {
+exports.authorize_api_key = function(res, route, api_key) {
     const plugin = this;
-    const client_ip = plugin.get_client_ip(req);
+    const usage_key = `${api_key.name}|${route.kind}`;
+    plugin.stats.key_requests[usage_key] = (plugin.stats.key_requests[usage_key] || 0) + 1;
+
+    if (!api_keys.has_scope(api_key, route.scope)) {
+        plugin.stats.scope_denied += 1;
+        plugin.logwarn(`API key ${api_key.name} lacks scope ${route.scope} for ${route.kind}`);
+        plugin.send_error(res, 'scope_denied', `Forbidden: API key lacks scope ${route.scope}`);
+        return null;
+    }
+
+    return api_key;
+};
+
+exports.is_signed_request = function(req) {
+    return Boolean(this.get_header_value(req, 'x-elektrine-signature'));
+};
+
+/**
+ * Check the key id, timestamp and scope of a signed request before its body is read
+ * @returns {Object|null} API key entry, or null after a 401/403 was sent
+ */
+exports.authenticate_signed_request_headers = function(req, res, route) {
+    const plugin = this;
+    const reject = (code) => {
+        plugin.stats.signature_failures += 1;
+        plugin.send_error(res, code);
+        return null;
+    };
+
+    const api_key = api_keys.find_key_by_name(plugin.api_keys, plugin.get_header_value(req, 'x-elektrine-key-id'));
+    if (!api_key || !api_key.signing_secret) {
+        return reject('unauthorized');
+    }
+
+    const timestamp_header = plugin.get_header_value(req, 'x-elektrine-timestamp');
+    const timestamp = /^\d{1,12}$/.test(timestamp_header) ? parseInt(timestamp_header, 10) : NaN;
+    const skew_sec = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+    if (!Number.isFinite(timestamp) || skew_sec > plugin.cfg.signature_max_skew_sec) {
+        plugin.logwarn(`Rejected signed request for key ${api_key.name}: timestamp outside allowed skew`);
+        return reject('signature_expired');
+    }
+
+    return plugin.authorize_api_key(res, route, api_key);
+};
+
+/**
+ * Check the signature of a signed request and reject replays of it
+ * @returns {Promise<boolean>} False after a 401 or 503 was sent
+ */
+exports.verify_signed_request = async function(req, res, api_key, request_path, body) {
+    const plugin = this;
+    const signature = plugin.get_header_value(req, 'x-elektrine-signature');
+
+    // Multipart bodies were hashed while they streamed to the spool
+    const valid = signing.verify_request(api_key.signing_secret, signature, {
+        timestamp: plugin.get_header_value(req, 'x-elektrine-timestamp'),
+        method: req.method,
+        path: request_path,
+        ...(typeof body === 'string' ? { body } : { body_sha256: body.body_sha256 })
+    });
+
+    if (!valid) {
+        plugin.stats.signature_failures += 1;
+        plugin.logwarn(`Rejected signed request for key ${api_key.name}: signature mismatch`);
+        plugin.send_error(res, 'signature_invalid');
+        return false;
+    }
+
+    let first_use;
+    try {
+        first_use = await plugin.signature_replay_store.remember(signature);
+    } catch (err) {
+        // Without the shared store a replay cannot be ruled out
+        plugin.logerror(`Signature replay store unavailable: ${err.message}`);
+        plugin.send_error(res, 'store_unavailable', 'Signature replay store unavailable, please retry');
+        return false;
+    }
 
-    if (!plugin.check_rate_limit(client_ip)) {
-        plugin.stats.rate_limited += 1;
-        plugin.send_response(res, 429, { success: false, error: 'Rate limit exceeded' });
+    if (!first_use) {
+        plugin.stats.signature_failures += 1;
+        plugin.logwarn(`Rejected replayed signed request for key ${api_key.name}`);
+        plugin.send_error(res, 'signature_replayed');
         return false;
     }
 
     return true;
 };
 
+/**
+ * Apply the per-request rate limits (client IP and/or API key buckets)
+ * @returns {Promise<boolean>} False after a 429 was sent
+ */
+exports.check_rate_limit_or_reject = function(req, res, api_key) {
+    const plugin = this;
+
+    return plugin.apply_rate_limits(plugin.get_rate_limit_buckets(req, api_key))
+        .then((result) => {
+            if (!result || result.allowed) return true;
+
+            plugin.send_error(res, 'rate_limited', null, null, rate_limiter.build_headers(result));
+            return false;
+        })
+        .catch((err) => {
+            // Fail open, like the limiter's own memory fallback
+            plugin.logwarn(`Rate limit check failed, allowing request: ${err.message}`);
+            return true;
+        });
+};
+
+exports.get_rate_limit_buckets = function(req, api_key) {
+    const plugin = this;
+    const dimensions = plugin.cfg.rate_limit_keys || [];
+    const default_limits = {
+        limit: plugin.cfg.rate_limit_max_requests,
+        window_ms: plugin.cfg.rate_limit_window_ms
+    };
+    const buckets = [];
+
+    if (dimensions.includes('ip')) {
+        buckets.push({ bucket: `ip:${plugin.get_client_ip(req)}`, ...default_limits });
+    }
+
+    if (api_key && (api_key.rate_limit_max_requests || dimensions.includes('api_key'))) {
+        buckets.push({
+            bucket: `key:${api_key.name}`,
+            limit: api_key.rate_limit_max_requests || default_limits.limit,
+            window_ms: api_key.rate_limit_window_ms || default_limits.window_ms
+        });
+    }
+
+    return buckets;
+};
+
+/**
+ * Count one request against the sender bucket when sender limiting is enabled
+ * @param {string} from - Sender address from the payload
+ * @returns {Promise<Object|null>} Limiter result, or null when not limited by sender
+ */
+exports.check_sender_rate_limit = function(from) {
+    const plugin = this;
+    const sender = domains.extract_email(String(from || '')).toLowerCase();
+
+    if (!sender || !(plugin.cfg.rate_limit_keys || []).includes('sender')) {
+        return Promise.resolve(null);
+    }
+
+    return plugin.apply_rate_limits([{
+        bucket: `sender:${sender}`,
+        limit: plugin.cfg.rate_limit_max_requests,
+        window_ms: plugin.cfg.rate_limit_window_ms
+    }]).catch((err) => {
+        plugin.logwarn(`Sender rate limit check failed, allowing request: ${err.message}`);
+        return null;
+    });
+};
+
+/**
+ * Count a request against every bucket
+ * @param {Object[]} buckets - `{bucket, limit, window_ms}` entries
+ * @returns {Promise<Object|null>} Most restrictive limiter result, or null when there were no buckets
+ */
+exports.apply_rate_limits = async function(buckets) {
+    const plugin = this;
+    const results = [];
+
+    for (const entry of buckets) {
+        const result = await plugin.rate_limiter.hit(entry.bucket, entry);
+        results.push(result);
+
+        if (!result.allowed) {
+            plugin.stats.rate_limited += 1;
+            plugin.logwarn(`Rate limit exceeded for ${entry.bucket}`);
+            break;
+        }
+    }
+
+    return rate_limiter.most_restrictive(results);
+};
+
+/**
+ * Read a multipart/form-data request, spooling its file parts to disk
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response, answered on failure
+ * @param {Function} callback - Called with `{fields, files, body_sha256}`
+ */
+exports.read_multipart_upload = function(req, res, callback) {
+    const plugin = this;
+
+    multipart.read_multipart(req, {
+        boundary: multipart.get_boundary(plugin.get_header_value(req, 'content-type')),
+        spool_dir: plugin.get_upload_spool_dir(),
+        max_bytes: MAX_BODY_SIZE,
+        idle_timeout_ms: BODY_READ_TIMEOUT_MS
+    }).then((upload) => {
+        // The message has been queued (or the request failed) once the response is out
+        res.once('close', upload.cleanup);
+        callback(upload);
+    }, (err) => {
+        plugin.logwarn(`Rejected multipart upload: ${err.message}`);
+        plugin.send_response(res, plugin.error_status(err), plugin.error_body(err));
+    });
+};
+
+exports.get_upload_spool_dir = function() {
+    return this.cfg.upload_spool_dir || path.join(os.tmpdir(), 'elektrine-uploads');
+};
+
 exports.read_request_body = function(req, res, callback) {
     const plugin = this;
     let body = '';
@@ -347,7 +891,7 @@ exports.read_request_body = function(req, res, callback) {
     const body_timeout = setTimeout(() => {
         req.destroy();
         finish_once(() => {
-            plugin.send_response(res, 408, { success: false, error: 'Request timeout' });
+            plugin.send_error(res, 'request_timeout');
         });
     }, BODY_READ_TIMEOUT_MS);
 
@@ -358,7 +902,7 @@ exports.read_request_body = function(req, res, callback) {
         if (body_size > MAX_BODY_SIZE) {
             req.destroy();
             return finish_once(() => {
-                plugin.send_response(res, 413, { success: false, error: 'Request body too large' });
+                plugin.send_error(res, 'body_too_large');
             });
         }
 
@@ -456,9 +1000,9 @@ exports.get_client_ip = function(req) {
     return remote_ip || real_ip || '0.0.0.0';
 };
 
-exports.is_ops_request_allowed = function(req, path) {
+exports.is_ops_request_allowed = function(req, path, scope = 'ops:read') {
     const plugin = this;
-    if (plugin.is_internal_api_request_authenticated(req)) {
+    if (plugin.is_internal_api_request_authenticated(req, scope)) {
         return true;
     }
 
@@ -474,10 +1018,43 @@ exports.is_ops_request_allowed = function(req, path) {
     return allowed;
 };
 
-exports.is_internal_api_request_authenticated = function(req) {
-    const api_key = this.get_header_value(req, 'x-api-key');
-    const expected_key = this.cfg.http_api_key || '';
-    return this.constant_time_equal(api_key, expected_key);
+exports.is_internal_api_request_authenticated = function(req, scope = 'ops:read') {
+    const api_key = api_keys.find_key(this.api_keys, this.get_header_value(req, 'x-api-key'));
+    return Boolean(api_key) && !api_key.require_signature && api_keys.has_scope(api_key, scope);
+};
+
+exports.get_query_params = function(req) {
+    const raw_target = String(req.url || '');
+    const query_index = raw_target.indexOf('?');
+    if (query_index < 0) return new URLSearchParams();
+
+    const hash_index = raw_target.indexOf('#', query_index);
+    return new URLSearchParams(raw_target.slice(query_index + 1, hash_index >= 0 ? hash_index : undefined));
+};
+
+exports.get_message_id_from_path = function(request_path) {
+    const match = request_path.match(/^\/api\/v1\/messages\/([A-Za-z0-9._-]{1,128})$/);
+    return match ? match[1] : null;
+};
+
+exports.get_scheduled_id_from_path = function(request_path) {
+    const match = request_path.match(/^\/api\/v1\/scheduled\/([A-Za-z0-9._-]{1,128})$/);
+    return match ? match[1] : null;
+};
+
+exports.get_quota_subject_from_path = function(request_path) {
+    const match = request_path.match(/^\/api\/v1\/quotas\/(sender|domain)\/([^/]+)$/);
+    if (!match) return null;
+
+    let subject;
+    try {
+        subject = decodeURIComponent(match[2]);
+    } catch (err) {
+        return null;
+    }
+
+    const normalized = send_quota.normalize_subject(match[1], subject);
+    return normalized ? { quota_scope: match[1], subject: normalized } : null;
 };
 
 exports.get_dkim_domain_from_path = function(request_path) {
@@ -492,6 +1069,17 @@ exports.get_dkim_domain_from_path = function(request_path) {
     }
 };
 
+exports.get_smime_address_from_path = function(request_path) {
+    const match = request_path.match(/^\/api\/v1\/smime\/senders\/([^/]+)$/);
+    if (!match) return null;
+
+    try {
+        return domains.normalize_email(decodeURIComponent(match[1])) || null;
+    } catch (err) {
+        return null;
+    }
+};
+
 exports.normalize_dkim_domain = function(value) {
     const domain = String(value || '').trim().toLowerCase().replace(/\.+$/, '');
     if (!domain) return null;
@@ -554,7 +1142,9 @@ exports.process_dkim_upsert_request = function(domain, body, res) {
         payload = JSON.parse(body || '{}');
     } catch (err) {
         plugin.stats.dkim_sync_error += 1;
-        return plugin.send_response(res, 400, { success: false, error: 'Invalid JSON' });
+        return plugin.send_response(res, 400, plugin.validation_error_body([
+            { code: 'invalid_json', field: '', message: 'Invalid JSON' }
+        ], 'dkim_key_invalid'));
     }
 
     const selector = plugin.normalize_dkim_selector(payload.selector);
@@ -562,10 +1152,11 @@ exports.process_dkim_upsert_request = function(domain, body, res) {
 
     if (!selector || !private_key) {
         plugin.stats.dkim_sync_error += 1;
-        return plugin.send_response(res, 400, {
-            success: false,
-            error: 'selector and private_key are required'
-        });
+        return plugin.send_response(res, 400, plugin.validation_error_body([{
+            code: 'invalid_value',
+            field: selector ? 'private_key' : 'selector',
+            message: selector ? 'private_key is not a valid PEM private key' : 'selector is not a valid DKIM selector'
+        }], 'dkim_key_invalid'));
     }
 
     try {
@@ -580,10 +1171,7 @@ exports.process_dkim_upsert_request = function(domain, body, res) {
     } catch (err) {
         plugin.stats.dkim_sync_error += 1;
         plugin.logerror(`Failed to install DKIM key for ${domain}: ${err.message}`);
-        return plugin.send_response(res, 500, {
-            success: false,
-            error: `Failed to install DKIM key: ${err.message}`
-        });
+        return plugin.send_error(res, 'dkim_write_failed', `Failed to install DKIM key: ${err.message}`);
     }
 };
 
@@ -602,10 +1190,7 @@ exports.process_dkim_delete_request = function(domain, res) {
     } catch (err) {
         plugin.stats.dkim_delete_error += 1;
         plugin.logerror(`Failed to remove DKIM key for ${domain}: ${err.message}`);
-        return plugin.send_response(res, 500, {
-            success: false,
-            error: `Failed to remove DKIM key: ${err.message}`
-        });
+        return plugin.send_error(res, 'dkim_write_failed', `Failed to remove DKIM key: ${err.message}`);
     }
 };
 
@@ -623,11 +1208,10 @@ exports.process_dkim_get_request = function(domain, res) {
             private_key_present: true
         });
     } catch (err) {
-        const not_found = err && err.code === 'ENOENT';
-        return plugin.send_response(res, not_found ? 404 : 500, {
-            success: false,
-            error: not_found ? `DKIM key not found for ${domain}` : `Failed to read DKIM key: ${err.message}`
-        });
+        if (err && err.code === 'ENOENT') {
+            return plugin.send_error(res, 'not_found', `DKIM key not found for ${domain}`);
+        }
+        return plugin.send_error(res, 'dkim_read_failed', `Failed to read DKIM key: ${err.message}`);
     }
 };
 
@@ -646,11 +1230,14 @@ exports.upsert_dkim_domain = function(domain, selector, private_key) {
 
 exports.delete_dkim_domain = function(domain) {
     const domain_dir = path.join(this.get_dkim_storage_dir(), domain);
-    if (!fs.existsSync(domain_dir)) {
+    const key_files = ['private', 'selector'].map((name) => path.join(domain_dir, name));
+    if (!key_files.some((file) => fs.existsSync(file))) {
         return false;
     }
 
-    fs.rmSync(domain_dir, { recursive: true, force: true });
+    // S/MIME certificates of the domain's senders live in the same directory
+    key_files.forEach((file) => fs.rmSync(file, { force: true }));
+    if (fs.readdirSync(domain_dir).length === 0) fs.rmdirSync(domain_dir);
     return true;
 };
 
@@ -682,68 +1269,592 @@ exports.derive_public_key_from_private = function(private_key) {
     return { pem, dns };
 };
 
-exports.atomic_write_file = function(target_path, contents, mode) {
-    const directory = path.dirname(target_path);
-    const temp_path = path.join(
-        directory,
-        `.${path.basename(target_path)}.${process.pid}.${Date.now()}.tmp`
-    );
+exports.process_smime_upsert_request = function(address, body, res) {
+    const plugin = this;
 
-    fs.writeFileSync(temp_path, contents, { mode });
-    fs.renameSync(temp_path, target_path);
-    fs.chmodSync(target_path, mode);
+    try {
+        const credentials = smime.validate_credentials(address, JSON.parse(body || '{}'));
+        plugin.upsert_smime_sender(address, credentials);
+        plugin.loginfo(`Installed S/MIME certificate for ${plugin.redact_email(address)}`);
+        return plugin.send_response(res, 200, {
+            success: true,
+            address,
+            certificate: smime.describe_certificate(credentials.certificate)
+        });
+    } catch (err) {
+        if (err.code === 'smime_certificate_invalid') {
+            return plugin.send_response(res, 400, plugin.validation_error_body([
+                { code: 'invalid_value', field: err.details.field, message: err.message }
+            ], 'smime_certificate_invalid'));
+        }
+        plugin.logerror(`Failed to install S/MIME certificate for ${plugin.redact_email(address)}: ${err.message}`);
+        return plugin.send_error(res, 'smime_write_failed', `Failed to install S/MIME certificate: ${err.message}`);
+    }
 };
 
-exports.process_send_request = function(body, res) {
+exports.process_smime_get_request = function(address, res) {
     const plugin = this;
-    
-    try {
-        const email_data = JSON.parse(body);
-        
-        // Validate required fields
-        if (!email_data.from || !email_data.to) {
-            return plugin.send_response(res, 400, { 
-                success: false, 
-                error: 'Missing required fields: from and to' 
-            });
-        }
-        
-        // Subject required for non-raw emails
-        if (!email_data.raw && !email_data.raw_base64 && email_data.subject === undefined) {
-            return plugin.send_response(res, 400, { 
-                success: false, 
-                error: 'Missing required field: subject (required for non-raw emails)' 
-            });
-        }
 
-        if (!email_data.raw && !email_data.raw_base64 && !plugin.has_structured_content(email_data)) {
-            plugin.logwarn(
-                `Rejecting structured send with no body or attachments from=${plugin.redact_email(email_data.from)} to_count=${emailBuilder.collect_recipients(email_data).length}`
-            );
-            return plugin.send_response(res, 400, {
-                success: false,
-                error: 'Missing message body: set text_body, text, body, html_body, html, attachments, raw, or raw_base64'
-            });
+    try {
+        const sender = plugin.read_smime_sender(address);
+        if (!sender) {
+            return plugin.send_error(res, 'not_found', `S/MIME certificate not found for ${address}`);
         }
 
-        plugin.loginfo(
-            `HTTP send payload summary ${plugin.payload_summary(email_data)}`
-        );
-        
-        // Queue email for delivery
-        plugin.queue_email(email_data, (err, message_id) => {
+        return plugin.send_response(res, 200, {
+            success: true,
+            address,
+            certificate: smime.describe_certificate(sender.certificate),
+            certificate_pem: sender.certificate,
+            chain_present: Boolean(sender.chain_path),
+            private_key_present: true
+        });
+    } catch (err) {
+        return plugin.send_error(res, 'smime_read_failed', `Failed to read S/MIME certificate: ${err.message}`);
+    }
+};
+
+exports.process_smime_delete_request = function(address, res) {
+    const plugin = this;
+
+    try {
+        const sender_dir = smime.sender_dir(plugin.get_dkim_storage_dir(), address);
+        const deleted = fs.existsSync(sender_dir);
+        fs.rmSync(sender_dir, { recursive: true, force: true });
+        plugin.loginfo(`${deleted ? 'Removed' : 'S/MIME certificate not present for'} ${plugin.redact_email(address)}`);
+        return plugin.send_response(res, 200, { success: true, address, deleted });
+    } catch (err) {
+        plugin.logerror(`Failed to remove S/MIME certificate for ${plugin.redact_email(address)}: ${err.message}`);
+        return plugin.send_error(res, 'smime_write_failed', `Failed to remove S/MIME certificate: ${err.message}`);
+    }
+};
+
+exports.upsert_smime_sender = function(address, credentials) {
+    const sender_dir = smime.sender_dir(this.get_dkim_storage_dir(), address);
+
+    // The domain directory is shared with the DKIM key, which Haraka must be able to read
+    fs.mkdirSync(path.dirname(path.dirname(sender_dir)), { recursive: true, mode: 0o755 });
+    fs.mkdirSync(sender_dir, { recursive: true, mode: 0o700 });
+    this.atomic_write_file(path.join(sender_dir, 'key.pem'), credentials.private_key, 0o600);
+    this.atomic_write_file(path.join(sender_dir, 'cert.pem'), credentials.certificate, 0o644);
+    if (credentials.chain) {
+        this.atomic_write_file(path.join(sender_dir, 'chain.pem'), credentials.chain, 0o644);
+    } else {
+        fs.rmSync(path.join(sender_dir, 'chain.pem'), { force: true });
+    }
+};
+
+/**
+ * Load the stored S/MIME certificate of an address
+ * @param {string} address - Sender or recipient address
+ * @returns {Object|null} `{certificate, certificate_path, private_key_path, chain_path}`; null when none is stored
+ */
+exports.read_smime_sender = function(address) {
+    const sender_dir = smime.sender_dir(this.get_dkim_storage_dir(), address);
+    if (!sender_dir) return null;
+
+    const certificate_path = path.join(sender_dir, 'cert.pem');
+    const private_key_path = path.join(sender_dir, 'key.pem');
+    const chain_path = path.join(sender_dir, 'chain.pem');
+    if (!fs.existsSync(certificate_path) || !fs.existsSync(private_key_path)) return null;
+
+    return {
+        certificate: fs.readFileSync(certificate_path, 'utf8'),
+        certificate_path,
+        private_key_path,
+        chain_path: fs.existsSync(chain_path) ? chain_path : null
+    };
+};
+
+exports.atomic_write_file = function(target_path, contents, mode) {
+    const directory = path.dirname(target_path);
+    const temp_path = path.join(
+        directory,
+        `.${path.basename(target_path)}.${process.pid}.${Date.now()}.tmp`
+    );
+
+    fs.writeFileSync(temp_path, contents, { mode });
+    fs.renameSync(temp_path, target_path);
+    fs.chmodSync(target_path, mode);
+};
+
+/**
+ * Handle POST /api/v1/send, honouring an Idempotency-Key header
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} body - JSON send payload
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} [api_key] - Caller's API key entry
+ * @param {Object[]} [files] - Spooled multipart file parts to attach
+ */
+exports.process_idempotent_send_request = function(req, body, res, api_key, files) {
+    const plugin = this;
+    const raw_key = plugin.get_header_value(req, 'idempotency-key');
+    const scope = api_key ? api_key.name : undefined;
+
+    if (!raw_key) {
+        return plugin.process_send_request(body, res, { api_key, files });
+    }
+
+    const idempotency_key = idempotency.normalize_key(raw_key);
+    if (!idempotency_key) {
+        return plugin.send_error(res, 'invalid_idempotency_key');
+    }
+
+    // Files count by content, so a retry with a new multipart boundary still matches
+    const request_fingerprint = idempotency.fingerprint(
+        body + (files || []).map((file) => `\n${file.filename}:${file.sha256}`).join('')
+    );
+
+    plugin.idempotency_store.begin(idempotency_key, request_fingerprint, scope)
+        .then((claim) => {
+            if (claim.state === 'completed') {
+                plugin.stats.idempotent_replays += 1;
+                plugin.loginfo(`Replaying idempotent send response for message: ${claim.response.body.message_id}`);
+                return plugin.send_response(res, claim.response.status, {
+                    ...claim.response.body,
+                    replayed: true
+                }, { 'Idempotent-Replayed': 'true' });
+            }
+
+            if (claim.state === 'mismatch') {
+                return plugin.send_error(res, 'idempotency_mismatch');
+            }
+
+            if (claim.state === 'in_progress') {
+                return plugin.send_error(res, 'idempotency_in_progress');
+            }
+
+            return plugin.process_send_request(body, res, {
+                api_key,
+                files,
+                on_response: (status, data) => {
+                    const settled = status >= 200 && status < 300
+                        ? plugin.idempotency_store.complete(idempotency_key, request_fingerprint, { status, body: data }, scope)
+                        : plugin.idempotency_store.release(idempotency_key, scope);
+
+                    settled.catch((err) => {
+                        plugin.logwarn(`Failed to settle Idempotency-Key record: ${err.message}`);
+                    });
+                }
+            });
+        })
+        .catch((err) => {
+            plugin.logerror(`Idempotency store unavailable: ${err.message}`);
+            return plugin.send_error(res, 'store_unavailable', 'Idempotency store unavailable, please retry');
+        });
+};
+
+exports.process_send_request = function(body, res, options = {}) {
+    const plugin = this;
+    const reply = (status, data, headers) => {
+        if (options.on_response) options.on_response(status, data);
+        return plugin.send_response(res, status, data, headers);
+    };
+    
+    let email_data;
+    try {
+        email_data = JSON.parse(body);
+    } catch (e) {
+        return reply(400, plugin.validation_error_body([{ code: 'invalid_json', field: '', message: 'Invalid JSON' }]));
+    }
+
+    const files = options.files || [];
+    const validation_error = plugin.validate_send_payload(email_data, files.length);
+    if (validation_error) {
+        return reply(400, plugin.validation_error_body([validation_error]));
+    }
+
+    const send_at = plugin.parse_send_at(email_data.send_at);
+    if (send_at === undefined) {
+        return reply(400, plugin.validation_error_body([{
+            code: 'invalid_format',
+            field: 'send_at',
+            message: 'Invalid send_at: use an ISO 8601 timestamp or Unix seconds'
+        }]));
+    }
+    if (send_at && send_at - Date.now() > plugin.cfg.scheduled_max_delay_sec * 1000) {
+        return reply(400, plugin.validation_error_body([{
+            code: 'too_large',
+            field: 'send_at',
+            message: `send_at is too far in the future (max ${plugin.cfg.scheduled_max_delay_sec}s)`
+        }]));
+    }
+
+    // Streamed files never exist as one message that could be signed or encrypted
+    if (files.length > 0 && email_data.smime && (email_data.smime.sign || email_data.smime.encrypt)) {
+        return reply(400, plugin.validation_error_body([{
+            code: 'invalid_value',
+            field: 'smime',
+            message: 'Multipart file attachments cannot be combined with smime; send them in attachments instead'
+        }]));
+    }
+
+    // Spooled files only live as long as this request
+    if (files.length > 0 && (send_at || email_data.raw || email_data.raw_base64)) {
+        return reply(400, plugin.validation_error_body([{
+            code: 'invalid_value',
+            field: send_at ? 'send_at' : (email_data.raw ? 'raw' : 'raw_base64'),
+            message: 'Multipart file attachments cannot be combined with send_at, raw or raw_base64'
+        }]));
+    }
+
+    const limit_error = plugin.check_send_limits(email_data, files, options.api_key);
+    if (limit_error) {
+        return reply(plugin.error_status(limit_error), plugin.error_body(limit_error));
+    }
+
+    plugin.check_sender_rate_limit(email_data.from)
+        .then((limit) => {
+            if (limit && !limit.allowed) {
+                return reply(429, api_errors.body('sender_rate_limited'), rate_limiter.build_headers(limit));
+            }
+
+            return plugin.accept_send_request(email_data, send_at, reply, options);
+        })
+        .catch((err) => {
+            plugin.logerror(`Send request failed: ${err.message}`);
+            if (!res.headersSent) reply(503, api_errors.body('store_unavailable'));
+        });
+};
+
+exports.accept_send_request = function(email_data, send_at, reply, options = {}) {
+    const plugin = this;
+
+    plugin.loginfo(
+        `HTTP send payload summary key=${options.api_key ? options.api_key.name : '-'} ${plugin.payload_summary(email_data)}`
+    );
+
+    return plugin.consume_send_quota(email_data, options.api_key).then((quota) => {
+        if (!quota.allowed) {
+            return reply(429, plugin.quota_exceeded_body(quota), {
+                'Retry-After': String(Math.max(1, Math.ceil((quota.resets_at - Date.now()) / 1000)))
+            });
+        }
+
+        // A send_at in the past is treated as "send now".
+        if (send_at && send_at > Date.now()) {
+            return plugin.schedule_email(email_data, send_at, (err, message_id, raw_changes) => {
+                if (err) {
+                    plugin.stats.sent_error += 1;
+                    quota.release();
+                    reply(plugin.error_status(err), plugin.error_body(err));
+                } else {
+                    plugin.stats.scheduled_ok += 1;
+                    reply(202, {
+                        success: true,
+                        message_id,
+                        scheduled: true,
+                        send_at: new Date(send_at).toISOString(),
+                        ...(raw_changes && { raw_changes })
+                    });
+                }
+            }, { api_key: options.api_key });
+        }
+        
+        // Queue email for delivery
+        plugin.queue_email(email_data, (err, message_id, raw_changes) => {
             if (err) {
                 plugin.stats.sent_error += 1;
-                plugin.send_response(res, 400, { success: false, error: err.message });
+                quota.release();
+                reply(plugin.error_status(err), plugin.error_body(err));
             } else {
                 plugin.stats.sent_ok += 1;
-                plugin.send_response(res, 200, { success: true, message_id: message_id });
+                reply(200, { success: true, message_id: message_id, ...(raw_changes && { raw_changes }) });
             }
+        }, { api_key: options.api_key, files: options.files });
+    });
+};
+
+/**
+ * Count a send against the sender and domain quotas
+ * @param {Object} email_data - Validated send payload
+ * @param {Object} [api_key] - Caller's API key entry
+ * @returns {Promise<Object>} Quota result with a `release()` to undo the count if the send fails
+ */
+exports.consume_send_quota = function(email_data, api_key) {
+    const plugin = this;
+    const not_counted = { allowed: true, release: () => {} };
+
+    if (!plugin.quota_store.enabled()) return Promise.resolve(not_counted);
+
+    // IDN senders are counted under their punycode domain, however they were written
+    const sender = domains.normalize_email(email_data.from);
+    const recipient_count = emailBuilder.collect_recipients(email_data).length;
+
+    return plugin.quota_store.consume(sender, recipient_count)
+        .then((result) => {
+            if (!result.allowed) {
+                plugin.stats.quota_exceeded += 1;
+                plugin.logger.warn('send_quota_exceeded', {
+                    key: api_key ? api_key.name : null,
+                    quota_scope: result.scope,
+                    subject: result.scope === 'sender' ? plugin.redact_email(result.subject) : result.subject,
+                    period: result.period,
+                    limit: result.limit,
+                    used: result.used,
+                    recipients: recipient_count
+                });
+                return result;
+            }
+
+            return {
+                ...result,
+                release: () => plugin.quota_store.release(result.keys, recipient_count).catch((err) => {
+                    plugin.logwarn(`Failed to release send quota: ${err.message}`);
+                })
+            };
+        })
+        .catch((err) => {
+            // Quotas are abuse protection; an unreachable Redis must not stop mail.
+            plugin.logger.warn('send_quota_unavailable', { message: err.message });
+            return not_counted;
         });
-        
-    } catch (e) {
-        plugin.send_response(res, 400, { success: false, error: 'Invalid JSON' });
+};
+
+exports.quota_exceeded_body = function(quota) {
+    return api_errors.body(
+        'quota_exceeded',
+        `${quota.period === 'hour' ? 'Hourly' : 'Daily'} send quota exceeded for ${quota.scope} ${quota.subject}`,
+        {
+            quota: {
+                scope: quota.scope,
+                period: quota.period,
+                limit: quota.limit,
+                used: quota.used,
+                resets_at: new Date(quota.resets_at).toISOString()
+            }
+        }
+    );
+};
+
+/**
+ * Check the rules of a send payload that its JSON Schema cannot express
+ * @param {Object} email_data - Parsed send payload
+ * @param {number} [file_count] - Multipart file parts sent along with it
+ * @returns {Object|null} Validation error `{code, field, message}` or null when valid
+ */
+exports.validate_send_payload = function(email_data, file_count = 0) {
+    const plugin = this;
+
+    if (!email_data || typeof email_data !== 'object') {
+        return { code: 'invalid_type', field: '', message: 'Request body must be a JSON object' };
     }
+
+    // Validate required fields
+    if (!email_data.from || !email_data.to) {
+        return {
+            code: 'required',
+            field: email_data.from ? 'to' : 'from',
+            message: 'Missing required fields: from and to'
+        };
+    }
+
+    // Subject required for non-raw emails
+    if (!email_data.raw && !email_data.raw_base64 && email_data.subject === undefined) {
+        return {
+            code: 'required',
+            field: 'subject',
+            message: 'Missing required field: subject (required for non-raw emails)'
+        };
+    }
+
+    if (!email_data.raw && !email_data.raw_base64 && file_count === 0 && !plugin.has_structured_content(email_data)) {
+        plugin.logwarn(
+            `Rejecting structured send with no body or attachments from=${plugin.redact_email(email_data.from)} to_count=${emailBuilder.collect_recipients(email_data).length}`
+        );
+        return {
+            code: 'required',
+            field: 'text_body',
+            message: 'Missing message body: set text_body, text, body, html_body, html, attachments, calendar, raw, or raw_base64'
+        };
+    }
+
+    const attachments = Array.isArray(email_data.attachments) ? email_data.attachments : [];
+    const missing_content_id = attachments.findIndex((attachment) => attachment && attachment.inline === true && !attachment.content_id);
+    if (missing_content_id >= 0) {
+        return {
+            code: 'required',
+            field: `attachments[${missing_content_id}].content_id`,
+            message: 'Inline attachments need a content_id for the HTML body to reference'
+        };
+    }
+
+    if (email_data.calendar !== undefined) {
+        if (email_data.raw || email_data.raw_base64) {
+            return {
+                code: 'invalid_value',
+                field: 'calendar',
+                message: 'calendar cannot be combined with raw or raw_base64'
+            };
+        }
+
+        // iTIP rules between fields; the first problem is reported
+        const [invalid] = calendar.validate(email_data.calendar, { has_sender: Boolean(email_data.from) });
+        if (invalid) return invalid;
+    }
+
+    return null;
+};
+
+/**
+ * Check a send payload against the caller's recipient, attachment and size limits
+ * @param {Object} email_data - Validated send payload
+ * @param {Object[]} files - Spooled multipart files
+ * @param {Object} [api_key] - Caller's API key entry, which may override the limits
+ * @returns {Error|null} Catalogue error with the exceeded `limit` in its details
+ */
+exports.check_send_limits = function(email_data, files, api_key) {
+    const plugin = this;
+    const violation = send_limits.check_request(email_data, files, send_limits.resolve(plugin.cfg, api_key));
+    return violation ? plugin.send_limit_error(violation, api_key) : null;
+};
+
+/**
+ * Check the size of a built message against the caller's max_message_bytes
+ * @param {number} message_bytes - Size of the message that will be queued
+ * @param {Object} [api_key] - Caller's API key entry, which may override the limit
+ * @throws {Error} With code message_too_large
+ */
+exports.check_message_size = function(message_bytes, api_key) {
+    const plugin = this;
+    const violation = send_limits.check_message_size(message_bytes, send_limits.resolve(plugin.cfg, api_key));
+    if (violation) throw plugin.send_limit_error(violation, api_key);
+};
+
+exports.send_limit_error = function(violation, api_key) {
+    const plugin = this;
+
+    plugin.stats.send_limit_rejected += 1;
+    plugin.logwarn(`Send limit exceeded key=${api_key ? api_key.name : '-'} code=${violation.code} limit=${violation.limit}`);
+    return api_errors.create(violation.code, violation.message, {
+        ...(violation.field && { field: violation.field }),
+        limit: violation.limit
+    });
+};
+
+/**
+ * Parse the optional send_at field
+ * @param {string|number} value - ISO 8601 timestamp or Unix seconds
+ * @returns {number|null|undefined} Epoch milliseconds, null when absent, undefined when invalid
+ */
+exports.parse_send_at = function(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        const seconds = Number(value);
+        return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : undefined;
+    }
+
+    if (typeof value !== 'string') return undefined;
+
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+exports.process_batch_send_request = function(body, res, api_key) {
+    const plugin = this;
+    let batch;
+
+    try {
+        batch = JSON.parse(body);
+    } catch (err) {
+        return plugin.send_response(res, 400, plugin.validation_error_body([
+            { code: 'invalid_json', field: '', message: 'Invalid JSON' }
+        ]));
+    }
+
+    // Shape, item count and recipient objects were checked against BatchSendRequest
+    const template = batch.template;
+    const items = batch.recipients;
+
+    if (template.raw || template.raw_base64) {
+        return plugin.send_response(res, 400, plugin.validation_error_body([{
+            code: 'unknown_field',
+            field: template.raw ? 'template.raw' : 'template.raw_base64',
+            message: 'Batch templates must be structured; raw and raw_base64 are not supported'
+        }]));
+    }
+    try {
+        plugin.enforce_sender_policy(domains.extract_email(String(template.from || '')), [], api_key);
+    } catch (err) {
+        return plugin.send_response(res, plugin.error_status(err), plugin.error_body(err));
+    }
+
+    plugin.check_sender_rate_limit(template.from)
+        .then(async (limit) => {
+            if (limit && !limit.allowed) {
+                return plugin.send_error(res, 'sender_rate_limited', null, null, rate_limiter.build_headers(limit));
+            }
+
+            plugin.stats.batch_requests += 1;
+            plugin.loginfo(`HTTP batch send key=${api_key ? api_key.name : '-'} from=${plugin.redact_email(template.from)} items=${items.length}`);
+
+            const results = await plugin.queue_batch_items(template, items, api_key);
+            const accepted = results.filter((result) => result.success).length;
+            return plugin.send_response(res, 200, {
+                success: true,
+                total: results.length,
+                accepted,
+                failed: results.length - accepted,
+                results
+            });
+        })
+        .catch((err) => {
+            plugin.logerror(`Batch send failed: ${err.message}`);
+            return plugin.send_error(res, 'internal_error', 'Batch send failed');
+        });
+};
+
+exports.queue_batch_items = async function(template, items, api_key) {
+    const plugin = this;
+    const results = [];
+
+    // Queue sequentially so one large batch does not flood the outbound queue writer.
+    for (let index = 0; index < items.length; index += 1) {
+        const item = items[index];
+
+        const email_data = emailBuilder.render_template({
+            ...template,
+            to: item.to,
+            cc: item.cc !== undefined ? item.cc : template.cc,
+            bcc: item.bcc !== undefined ? item.bcc : template.bcc
+        }, item.variables || {});
+
+        const validation_error = plugin.validate_send_payload(email_data);
+        if (validation_error) {
+            plugin.stats.sent_error += 1;
+            results.push({ index, to: item.to, ...plugin.validation_error_body([validation_error]) });
+            continue;
+        }
+
+        const limit_error = plugin.check_send_limits(email_data, [], api_key);
+        if (limit_error) {
+            plugin.stats.sent_error += 1;
+            results.push({ index, to: item.to, ...plugin.error_body(limit_error) });
+            continue;
+        }
+
+        const quota = await plugin.consume_send_quota(email_data, api_key);
+        if (!quota.allowed) {
+            plugin.stats.sent_error += 1;
+            results.push({ index, to: item.to, ...plugin.quota_exceeded_body(quota) });
+            continue;
+        }
+
+        try {
+            const message_id = await new Promise((resolve, reject) => {
+                plugin.queue_email(email_data, (err, queued_id) => (err ? reject(err) : resolve(queued_id)), { api_key });
+            });
+            plugin.stats.sent_ok += 1;
+            results.push({ index, to: item.to, success: true, message_id });
+        } catch (err) {
+            plugin.stats.sent_error += 1;
+            quota.release();
+            results.push({ index, to: item.to, ...plugin.error_body(err) });
+        }
+    }
+
+    return results;
 };
 
 exports.has_structured_content = function(email_data) {
@@ -753,7 +1864,7 @@ exports.has_structured_content = function(email_data) {
         return typeof value === 'string' && value.trim() !== '';
     });
 
-    if (has_body) return true;
+    if (has_body || email_data.calendar) return true;
 
     return Array.isArray(email_data.attachments) && email_data.attachments.length > 0;
 };
@@ -777,7 +1888,9 @@ exports.payload_summary = function(email_data) {
         `html_bytes=${this.string_size(email_data.html)}`,
         `raw_bytes=${this.string_size(email_data.raw)}`,
         `raw_base64_bytes=${this.string_size(email_data.raw_base64)}`,
-        `attachments=${Array.isArray(email_data.attachments) ? email_data.attachments.length : 0}`
+        `attachments=${Array.isArray(email_data.attachments) ? email_data.attachments.length : 0}`,
+        `calendar=${email_data.calendar && email_data.calendar.method ? email_data.calendar.method : '-'}`,
+        `smime=${['sign', 'encrypt'].filter((option) => email_data.smime && email_data.smime[option]).join('+') || '-'}`
     ].join(' ');
 };
 
@@ -802,53 +1915,337 @@ exports.ensure_terminal_crlf = function(email_content) {
     return email_content.replace(/\r?\n?$/, '') + '\r\n';
 };
 
-exports.queue_email = function(email_data, callback) {
+exports.queue_email = function(email_data, callback, options = {}) {
     const plugin = this;
+    let prepared;
     
     try {
-        const message_id = crypto.randomUUID();
-        const all_recipients = emailBuilder.collect_recipients(email_data);
-        if (all_recipients.length === 0) {
-            throw new Error('Invalid recipient list');
+        prepared = plugin.prepare_email(email_data, options);
+    } catch (err) {
+        plugin.logerror(`Error building email: ${err.message}`);
+        return callback(err);
+    }
+
+    plugin.check_smtputf8(prepared.sender_email, prepared.recipients)
+        .then(() => plugin.apply_smime(email_data, prepared, options.api_key))
+        .then((email_content) => {
+            plugin.deliver_outbound(prepared.sender_email, prepared.recipients, email_content, prepared.message_id,
+                (err, message_id) => callback(err, message_id, prepared.raw_changes));
+        }, callback);
+};
+
+/**
+ * Sign and/or encrypt a prepared message when the send asks for S/MIME
+ *
+ * Signing uses the sender's stored certificate, which must still be current.
+ * Encryption needs a current certificate for every recipient, from
+ * smime.certificates or from the store; the sender's own certificate is
+ * added when there is a current one.
+ *
+ * The wrapped message is larger than the one prepare_email() checked, so
+ * its size is checked again.
+ *
+ * @param {Object} email_data - Validated send payload
+ * @param {Object} prepared - Result of prepare_email()
+ * @param {Object} [api_key] - Caller's API key entry, for the message size limit
+ * @returns {Promise<string|Readable>} Message to queue; unchanged without smime
+ */
+exports.apply_smime = async function(email_data, prepared, api_key) {
+    const plugin = this;
+    const options = email_data.smime || {};
+    if (!options.sign && !options.encrypt) return prepared.email_content;
+
+    const sender = plugin.read_smime_sender(prepared.sender_email);
+    const refuse = (message, details) => {
+        plugin.stats.smime_failed += 1;
+        plugin.logwarn(`Refusing S/MIME send from ${plugin.redact_email(prepared.sender_email)}: ${message}`);
+        return api_errors.create('smime_certificate_missing', message, details);
+    };
+
+    if (options.sign && !sender) {
+        throw refuse(`No S/MIME certificate stored for ${prepared.sender_email}`, { sender: prepared.sender_email });
+    }
+    // Certificates are checked when stored, but may have expired since
+    const sender_current = Boolean(sender) && smime.certificate_is_current(sender.certificate);
+    if (options.sign && !sender_current) {
+        throw refuse(`S/MIME certificate for ${prepared.sender_email} is not valid now`, { sender: prepared.sender_email });
+    }
+
+    let recipient_certificates = null;
+    if (options.encrypt) {
+        const candidates = (options.certificates || []).flatMap((pem) => smime.split_certificates(pem));
+        for (const recipient of prepared.recipients) {
+            const stored = plugin.read_smime_sender(recipient);
+            if (stored) candidates.push(stored.certificate);
         }
-        
-        let email_content;
-        let sender_email;
-        
-        // Handle raw email formats
-        if (email_data.raw_base64) {
-            plugin.loginfo('Using base64-encoded raw email format');
-            email_content = Buffer.from(email_data.raw_base64, 'base64').toString('binary');
-            sender_email = domains.extract_email(String(email_data.from || '').replace(/[\r\n]+/g, ' ').trim());
-        } else if (email_data.raw) {
-            plugin.loginfo('Using raw email format');
-            email_content = email_data.raw;
-            sender_email = domains.extract_email(String(email_data.from || '').replace(/[\r\n]+/g, ' ').trim());
-        } else {
-            // Build email from structured data
-            const built = emailBuilder.build(email_data, message_id);
-            email_content = built.email_content;
-            sender_email = built.sender_email;
+
+        const matched = smime.match_recipients(prepared.recipients, candidates);
+        if (matched.missing.length > 0) {
+            throw refuse(`No current S/MIME certificate for ${matched.missing.join(', ')}`, { recipients: matched.missing });
         }
+        recipient_certificates = sender_current
+            ? [...new Set([...matched.certificates, sender.certificate])]
+            : matched.certificates;
+    }
 
-        email_content = plugin.ensure_terminal_crlf(email_content);
+    // Raw base64 submissions are binary strings; keep their bytes as they are
+    const encoding = email_data.raw_base64 ? 'binary' : 'utf8';
+    let wrapped;
+    try {
+        wrapped = await smime.wrap(Buffer.from(prepared.email_content, encoding), {
+            signer: options.sign ? sender : null,
+            recipient_certificates,
+            openssl: plugin.cfg.smime_openssl_path,
+            timeout_ms: plugin.cfg.smime_timeout_ms
+        });
+    } catch (err) {
+        plugin.stats.smime_failed += 1;
+        plugin.logerror(`S/MIME wrapping failed for ${prepared.message_id}: ${err.message}`);
+        throw api_errors.create('smime_failed', `Failed to ${options.encrypt ? 'encrypt' : 'sign'} the message: ${err.message}`);
+    }
 
-        plugin.loginfo(`Queued outbound MIME summary ${plugin.message_body_summary(email_content)}`);
+    plugin.check_message_size(wrapped.length, api_key);
+    if (options.sign) plugin.stats.smime_signed += 1;
+    if (options.encrypt) plugin.stats.smime_encrypted += 1;
+    return wrapped.toString(encoding);
+};
 
-        if (!/^[^\s@<>]+@[A-Za-z0-9.-]+$/.test(sender_email)) {
-            throw new Error('Invalid from address');
-        }
-        
-        // Always deliver through Haraka outbound.
-        // Local domains are steered back to inbound-mx by elektrine_local_mx.
-        if (domains.all_recipients_local(all_recipients)) {
-            plugin.loginfo(`All recipients are local; routing via SMTP/local MX for message: ${message_id}`);
+/**
+ * Refuse a send with UTF-8 local parts when a recipient MX lacks SMTPUTF8
+ *
+ * Only sends that need SMTPUTF8 are probed. Local domains are delivered to
+ * our own inbound-mx, which advertises it. An MX that cannot be asked is
+ * left to Haraka outbound, which retries and bounces as usual.
+ *
+ * @param {string} sender_email - Envelope sender
+ * @param {string[]} recipients - Normalized recipient addresses
+ * @returns {Promise<void>} Rejects with code smtputf8_unsupported
+ */
+exports.check_smtputf8 = async function(sender_email, recipients) {
+    const plugin = this;
+    if (![sender_email, ...recipients].some((address) => domains.requires_smtputf8(address))) return;
+
+    const remote_domains = [...new Set(domains.partition_recipients(recipients).external
+        .map((recipient) => domains.extract_domain(recipient))
+        .filter(Boolean))];
+    const options = {
+        helo: plugin.config.get('me') || os.hostname(),
+        timeout_ms: plugin.cfg.smtputf8_probe_timeout_ms,
+        cache_ttl_ms: plugin.cfg.smtputf8_cache_ttl_sec * 1000
+    };
+
+    const results = await Promise.all(remote_domains.map((domain) => smtputf8.supports_smtputf8(domain, options)
+        .then((result) => ({ domain, supported: result.supported }))
+        .catch((err) => {
+            plugin.logwarn(`SMTPUTF8 probe of ${domain} failed, leaving it to outbound: ${err.message}`);
+            return { domain, supported: null };
+        })));
+
+    const unsupported = results.filter((result) => result.supported === false).map((result) => result.domain);
+    if (unsupported.length === 0) return;
+
+    plugin.stats.smtputf8_rejected += 1;
+    plugin.logwarn(`Refusing send with UTF-8 addresses: no SMTPUTF8 at ${unsupported.join(', ')}`);
+    throw api_errors.create(
+        'smtputf8_unsupported',
+        `Mail servers for ${unsupported.join(', ')} do not support SMTPUTF8, which UTF-8 addresses need`,
+        { domains: unsupported }
+    );
+};
+
+/**
+ * Build the final message for a send payload without queueing it
+ * @param {Object} email_data - Validated send payload
+ * @param {Object} [options] - `api_key` of the caller, for the sender policy
+ * @returns {Object} `{message_id, sender_email, recipients, email_content, raw_changes}`;
+ *   raw_changes lists the repairs made to a raw submission and is undefined otherwise
+ */
+exports.prepare_email = function(email_data, options = {}) {
+    const plugin = this;
+
+    const message_id = crypto.randomUUID();
+    const all_recipients = emailBuilder.collect_recipients(email_data);
+    if (all_recipients.length === 0) {
+        throw api_errors.create('invalid_recipient');
+    }
+    
+    let email_content;
+    let sender_email;
+    let header_block;
+    let streamed_bytes;
+    let raw_changes;
+    
+    // Handle raw email formats
+    if (email_data.raw_base64 || email_data.raw) {
+        sender_email = domains.normalize_email(email_data.from);
+        if (!sender_email) {
+            throw api_errors.create('invalid_sender');
         }
-        plugin.deliver_outbound(sender_email, all_recipients, email_content, message_id, callback);
-        
+
+        const sanitized = email_data.raw_base64
+            ? raw_message.sanitize(Buffer.from(email_data.raw_base64, 'base64').toString('binary'), {
+                envelope_from: sender_email,
+                message_id,
+                encoding: 'binary'
+            })
+            : raw_message.sanitize(email_data.raw, { envelope_from: sender_email, message_id });
+        email_content = sanitized.content;
+        raw_changes = sanitized.changes;
+        plugin.loginfo(
+            `Using ${email_data.raw_base64 ? 'base64-encoded ' : ''}raw email format changes=${raw_changes.join(',') || 'none'}`
+        );
+    } else if (options.files && options.files.length > 0) {
+        // Spooled multipart files are streamed into outbound, never held in memory
+        const built = emailBuilder.build_stream(email_data, options.files, message_id);
+        email_content = built.stream;
+        streamed_bytes = built.size;
+        header_block = built.header_block;
+        sender_email = built.sender_email;
+    } else {
+        // Build email from structured data
+        const built = emailBuilder.build(email_data, message_id);
+        email_content = built.email_content;
+        sender_email = built.sender_email;
+    }
+
+    let message_bytes;
+    if (header_block) {
+        const file_bytes = options.files.reduce((total, file) => total + file.size, 0);
+        plugin.loginfo(`Queued outbound MIME summary streamed_files=${options.files.length} file_bytes=${file_bytes}`);
+        message_bytes = streamed_bytes;
+    } else {
+        email_content = plugin.ensure_terminal_crlf(email_content);
+        plugin.loginfo(`Queued outbound MIME summary ${plugin.message_body_summary(email_content)}`);
+        message_bytes = Buffer.byteLength(email_content, email_data.raw_base64 ? 'binary' : 'utf8');
+    }
+
+    // The request check can only estimate; this is the size that will be queued
+    plugin.check_message_size(message_bytes, options.api_key);
+
+    if (!domains.normalize_email(sender_email)) {
+        throw api_errors.create('invalid_sender');
+    }
+
+    plugin.enforce_sender_policy(
+        sender_email,
+        sender_policy.header_from_addresses(header_block || email_content),
+        options.api_key
+    );
+    
+    // Always deliver through Haraka outbound.
+    // Local domains are steered back to inbound-mx by elektrine_local_mx.
+    if (domains.all_recipients_local(all_recipients)) {
+        plugin.loginfo(`All recipients are local; routing via SMTP/local MX for message: ${message_id}`);
+    }
+
+    return { message_id, sender_email, recipients: all_recipients, email_content, raw_changes };
+};
+
+/**
+ * Apply the sender authorization policy to a prepared message
+ * @param {string} envelope_from - Envelope sender
+ * @param {string[]} header_from - Header From addresses
+ * @param {Object} [api_key] - Caller's API key entry
+ * @throws {Error} With status 403 and code sender_not_allowed in enforce mode
+ */
+exports.enforce_sender_policy = function(envelope_from, header_from, api_key) {
+    const plugin = this;
+    const mode = plugin.cfg.sender_policy;
+    if (mode === 'off') return;
+
+    const violation = sender_policy.check({ envelope_from, header_from }, api_key);
+    if (!violation) return;
+
+    plugin.stats.sender_blocked += 1;
+    plugin.logwarn(
+        `Sender policy ${mode === 'monitor' ? 'violation (monitor only)' : 'blocked send'}: key=${api_key ? api_key.name : '-'} sender=${plugin.redact_email(violation.address)}`
+    );
+    if (mode === 'monitor') return;
+
+    throw api_errors.create(violation.code, violation.message);
+};
+
+exports.schedule_email = function(email_data, send_at, callback, options = {}) {
+    const plugin = this;
+    let prepared;
+
+    try {
+        prepared = plugin.prepare_email(email_data, options);
     } catch (err) {
         plugin.logerror(`Error building email: ${err.message}`);
-        callback(err);
+        return callback(err);
+    }
+
+    // The message is built now so that later template or config changes
+    // cannot alter what the user saw when they pressed "send later".
+    const { raw_changes, ...item } = prepared;
+    plugin.check_smtputf8(item.sender_email, item.recipients)
+        .then(() => plugin.apply_smime(email_data, prepared, options.api_key))
+        .then((email_content) => plugin.scheduled_store.schedule({ ...item, email_content, send_at })
+            .then(() => {
+                plugin.loginfo(`Email scheduled for ${new Date(send_at).toISOString()}: ${prepared.message_id}`);
+                callback(null, prepared.message_id, raw_changes);
+            })
+            .catch((err) => {
+                plugin.logerror(`Failed to persist scheduled email: ${err.message}`);
+                callback(api_errors.create('store_unavailable', 'Scheduled send store unavailable, please retry'));
+            }), callback);
+};
+
+exports.start_scheduled_poller = function() {
+    const plugin = this;
+    if (plugin.scheduled_timer) return;
+
+    plugin.scheduled_polling = false;
+    plugin.scheduled_timer = setInterval(() => {
+        if (plugin.scheduled_polling) return;
+        plugin.scheduled_polling = true;
+
+        plugin.dispatch_scheduled_sends()
+            .catch((err) => {
+                plugin.logwarn(`Scheduled send poll failed: ${err.message}`);
+            })
+            .finally(() => {
+                plugin.scheduled_polling = false;
+            });
+    }, plugin.cfg.scheduled_poll_interval_ms);
+
+    // Never keep Haraka alive just for the poller
+    if (plugin.scheduled_timer.unref) plugin.scheduled_timer.unref();
+};
+
+exports.dispatch_scheduled_sends = async function() {
+    const plugin = this;
+    const due_ids = await plugin.scheduled_store.claim_due();
+
+    for (const message_id of due_ids) {
+        const item = await plugin.scheduled_store.get(message_id);
+        if (!item) {
+            // Canceled between claim and load
+            await plugin.scheduled_store.complete(message_id);
+            continue;
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                plugin.deliver_outbound(item.sender_email, item.recipients, item.email_content, message_id,
+                    (err) => (err ? reject(err) : resolve()));
+            });
+            plugin.stats.scheduled_dispatched += 1;
+            await plugin.scheduled_store.complete(message_id);
+        } catch (err) {
+            const attempts = (item.attempts || 0) + 1;
+            if (attempts >= plugin.cfg.scheduled_max_attempts) {
+                plugin.stats.scheduled_failed += 1;
+                plugin.logerror(`Giving up on scheduled email ${message_id} after ${attempts} attempts: ${err.message}`);
+                await plugin.scheduled_store.complete(message_id);
+                continue;
+            }
+
+            const retry_at = Date.now() + plugin.cfg.scheduled_retry_base_delay_ms * Math.pow(2, attempts - 1);
+            plugin.logwarn(`Scheduled email ${message_id} failed to queue (attempt ${attempts}), retrying at ${new Date(retry_at).toISOString()}: ${err.message}`);
+            await plugin.scheduled_store.retry(item, retry_at);
+        }
     }
 };
 
@@ -858,91 +2255,509 @@ exports.deliver_outbound = function(sender_email, recipients, email_content, mes
     
     plugin.loginfo(`Processing outbound delivery for: ${recipients.join(', ')}`);
     
+    // The API message ID travels with the outbound transaction so the
+    // delivered/deferred/bounce hooks can attribute results to it.
+    const options = { notes: { elektrine_message_id: message_id } };
+
     outbound.send_email(sender_email, recipients, email_content, (code, msg) => {
         if (code === constants.cont || (msg && msg.includes('Message Queued'))) {
             plugin.loginfo(`Email queued successfully: ${message_id}`);
+            plugin.status_store.record_queued(message_id, { from: sender_email, recipients })
+                .catch((err) => {
+                    plugin.logwarn(`Failed to record delivery status for ${message_id}: ${err.message}`);
+                });
             callback(null, message_id);
         } else {
             plugin.logerror(`Email queueing failed: ${msg}`);
-            callback(new Error(msg || 'Failed to queue email'));
+            callback(api_errors.create('queue_failed', msg));
+        }
+    }, options);
+};
+
+exports.process_message_status_request = function(message_id, res) {
+    const plugin = this;
+
+    plugin.status_store.get(message_id)
+        .then((status) => {
+            if (!status) {
+                return plugin.send_error(res, 'not_found', `Message not found: ${message_id}`);
+            }
+
+            return plugin.send_response(res, 200, { success: true, ...status });
+        })
+        .catch((err) => {
+            plugin.logerror(`Failed to load delivery status for ${message_id}: ${err.message}`);
+            return plugin.send_error(res, 'store_unavailable', 'Delivery status store unavailable');
+        });
+};
+
+exports.process_scheduled_get_request = function(message_id, res) {
+    const plugin = this;
+
+    plugin.scheduled_store.get(message_id)
+        .then((item) => {
+            if (!item) {
+                return plugin.send_error(res, 'not_found', `Scheduled message not found: ${message_id}`);
+            }
+
+            return plugin.send_response(res, 200, {
+                success: true,
+                message_id,
+                state: item.claimed_at ? 'sending' : 'scheduled',
+                send_at: new Date(item.send_at).toISOString(),
+                from: item.sender_email,
+                recipients: item.recipients,
+                attempts: item.attempts || 0,
+                created_at: item.created_at
+            });
+        })
+        .catch((err) => {
+            plugin.logerror(`Failed to load scheduled message ${message_id}: ${err.message}`);
+            return plugin.send_error(res, 'store_unavailable', 'Scheduled send store unavailable');
+        });
+};
+
+exports.process_scheduled_cancel_request = function(message_id, res) {
+    const plugin = this;
+
+    plugin.scheduled_store.cancel(message_id)
+        .then((result) => {
+            if (result === 'not_found') {
+                return plugin.send_error(res, 'not_found', `Scheduled message not found: ${message_id}`);
+            }
+
+            if (result === 'in_flight') {
+                return plugin.send_error(res, 'scheduled_in_flight');
+            }
+
+            plugin.stats.scheduled_canceled += 1;
+            plugin.loginfo(`Scheduled email canceled: ${message_id}`);
+            return plugin.send_response(res, 200, { success: true, message_id, canceled: true });
+        })
+        .catch((err) => {
+            plugin.logerror(`Failed to cancel scheduled message ${message_id}: ${err.message}`);
+            return plugin.send_error(res, 'store_unavailable', 'Scheduled send store unavailable');
+        });
+};
+
+exports.process_quota_get_request = function(quota_scope, subject, res) {
+    const plugin = this;
+
+    plugin.quota_store.usage(quota_scope, subject)
+        .then((usage) => plugin.send_response(res, 200, { success: true, ...usage }))
+        .catch((err) => {
+            plugin.logerror(`Failed to load send quota for ${quota_scope}: ${err.message}`);
+            return plugin.send_error(res, 'store_unavailable', 'Send quota store unavailable');
+        });
+};
+
+exports.process_quota_reset_request = function(quota_scope, subject, res, api_key) {
+    const plugin = this;
+
+    plugin.quota_store.reset(quota_scope, subject)
+        .then(() => {
+            plugin.logger.info('send_quota_reset', {
+                key: api_key ? api_key.name : null,
+                quota_scope,
+                subject: quota_scope === 'sender' ? plugin.redact_email(subject) : subject
+            });
+            return plugin.send_response(res, 200, { success: true, scope: quota_scope, subject, reset: true });
+        })
+        .catch((err) => {
+            plugin.logerror(`Failed to reset send quota for ${quota_scope}: ${err.message}`);
+            return plugin.send_error(res, 'store_unavailable', 'Send quota store unavailable');
+        });
+};
+
+exports.get_hmail_message_id = function(hmail) {
+    const notes = hmail && hmail.todo && hmail.todo.notes;
+    return notes && notes.elektrine_message_id ? notes.elektrine_message_id : null;
+};
+
+exports.describe_recipients = function(recipients) {
+    return (Array.isArray(recipients) ? recipients : [])
+        .map((rcpt) => ({
+            address: rcpt && typeof rcpt.address === 'function' ? rcpt.address() : String(rcpt || ''),
+            response: rcpt && (rcpt.reason || rcpt.dsn_smtp_response) ? String(rcpt.reason || rcpt.dsn_smtp_response) : undefined,
+            remote_mta: rcpt && rcpt.dsn_remote_mta ? rcpt.dsn_remote_mta : undefined
+        }))
+        .filter((rcpt) => rcpt.address);
+};
+
+exports.record_delivery_event = function(hmail, state, recipients, details) {
+    const plugin = this;
+    const message_id = plugin.get_hmail_message_id(hmail);
+    if (!message_id || recipients.length === 0) return;
+
+    plugin.status_store.record_event(message_id, state, recipients, details)
+        .catch((err) => {
+            plugin.logwarn(`Failed to record ${state} status for ${message_id}: ${err.message}`);
+        });
+
+    plugin.publish_delivery_event(hmail, state, message_id, recipients, details);
+};
+
+exports.publish_delivery_event = function(hmail, state, message_id, recipients, details) {
+    const plugin = this;
+    if (!plugin.cfg.events_url) return;
+
+    const todo = hmail.todo || {};
+    const event = delivery_events.build_event(state, {
+        message_id,
+        queue_id: todo.uuid,
+        from: todo.mail_from && typeof todo.mail_from.address === 'function' ? todo.mail_from.address() : undefined,
+        recipients,
+        remote_mx: details.remote_mx,
+        response: details.response,
+        attempts: details.attempts
+    });
+
+    plugin.event_publisher.publish(event)
+        .catch((err) => {
+            // The post failed and the event could not be kept for a retry
+            plugin.logger.error('delivery_event_failed', {
+                event_id: event.event_id,
+                event: state,
+                message_id,
+                status: err.status || null,
+                message: err.message
+            });
+        });
+};
+
+exports.record_delivered = function(next, hmail, params) {
+    const [host, ip, response, , port, , ok_recips] = params || [];
+    this.forget_queue_error(hmail);
+
+    this.record_delivery_event(hmail, 'delivered', this.describe_recipients(ok_recips), {
+        response,
+        attempts: (hmail.num_failures || 0) + 1,
+        remote_mx: { host, ip, port }
+    });
+
+    return next();
+};
+
+exports.record_deferred = function(next, hmail, params) {
+    const details = params || {};
+    const recipients = this.describe_recipients(details.fail_recips || (hmail.todo && hmail.todo.rcpt_to));
+    this.remember_queue_error(hmail, details.err);
+
+    this.record_delivery_event(hmail, 'deferred', recipients, {
+        response: details.err ? String(details.err) : undefined,
+        attempts: hmail.num_failures || 1,
+        remote_mx: details.mx ? { host: details.mx.exchange, port: details.mx.port } : undefined
+    });
+
+    return next();
+};
+
+exports.record_bounce = function(next, hmail, err) {
+    const recipients = this.describe_recipients((err && err.bounced_rcpt) || (hmail.todo && hmail.todo.rcpt_to));
+    this.forget_queue_error(hmail);
+
+    this.record_delivery_event(hmail, 'bounced', recipients, {
+        response: err ? (err.message || String(err)) : undefined,
+        attempts: (hmail.num_failures || 0) + 1,
+        remote_mx: err && err.mx ? { host: err.mx.exchange, port: err.mx.port } : undefined
+    });
+
+    return next();
+};
+
+exports.process_readiness_request = function(res) {
+    const plugin = this;
+
+    plugin.run_health_checks()
+        .then((report) => {
+            if (!report.ok) {
+                const failed = Object.keys(report.checks).filter((name) => report.checks[name].status === 'fail');
+                plugin.logger.warn('readiness_failed', { checks: failed.join(',') });
+            }
+            return plugin.send_response(res, report.ok ? 200 : 503, {
+                ok: report.ok,
+                status: report.status,
+                role: plugin.cfg.role,
+                started_at: plugin.stats.started_at,
+                checks: report.checks
+            });
+        })
+        .catch((err) => {
+            plugin.logger.error('readiness_check_error', { message: err.message });
+            if (res.headersSent) return;
+            plugin.send_response(res, 503, {
+                ok: false,
+                status: 'fail',
+                role: plugin.cfg.role,
+                started_at: plugin.stats.started_at,
+                error: err.message
+            });
+        });
+};
+
+/**
+ * Run the readiness checks
+ * @returns {Promise<Object>} `{ok, status, checks}` from health.run_checks()
+ */
+exports.run_health_checks = function() {
+    const plugin = this;
+
+    return health.run_checks({
+        redis: { critical: true, run: () => health.check_redis(plugin.queue_client) },
+        dkim_storage: { critical: true, run: () => health.check_writable_dir(plugin.get_dkim_storage_dir()) },
+        domain_cache: { critical: false, run: () => health.check_domain_cache(domains.get_cache_status()) },
+        outbound_queue: {
+            critical: true,
+            run: () => health.check_outbound_queue(plugin.get_outbound_queue_dir(), plugin.cfg.health_queue_warn_items)
         }
+    }, plugin.cfg.health_check_timeout_ms);
+};
+
+exports.remember_queue_error = function(hmail, err) {
+    const plugin = this;
+    const queue_id = hmail && hmail.todo && hmail.todo.uuid;
+    if (!queue_id || !err) return;
+
+    // Re-insert so the Map stays in age order and the oldest entry is evicted first
+    plugin.queue_errors.delete(queue_id);
+    plugin.queue_errors.set(queue_id, { error: err.message || String(err), at: new Date().toISOString() });
+    if (plugin.queue_errors.size > QUEUE_ERROR_CACHE_SIZE) {
+        plugin.queue_errors.delete(plugin.queue_errors.keys().next().value);
+    }
+};
+
+exports.forget_queue_error = function(hmail) {
+    const queue_id = hmail && hmail.todo && hmail.todo.uuid;
+    if (queue_id) this.queue_errors.delete(queue_id);
+};
+
+exports.get_outbound_queue_dir = function() {
+    // Same lookup as Haraka's outbound queue
+    return path.resolve(this.config.get('queue_dir') || path.join(process.env.HARAKA || '', 'queue'));
+};
+
+exports.resolve_queue_admin_route = function(method, request_path) {
+    if (request_path === '/ops/queue') {
+        return method === 'GET' ? { action: 'list', scope: 'ops:read' } : null;
+    }
+
+    const match = request_path.match(/^\/ops\/queue\/([^/]+)(?:\/(retry|bounce))?$/);
+    if (!match) return null;
+
+    let id;
+    try {
+        id = decodeURIComponent(match[1]);
+    } catch (err) {
+        return null;
+    }
+    if (!outbound_queue.is_item_id(id)) return null;
+
+    if (match[2]) {
+        return method === 'POST' ? { action: match[2], scope: 'ops:write', id } : null;
+    }
+    if (method === 'GET') return { action: 'get', scope: 'ops:read', id };
+    if (method === 'DELETE') return { action: 'drop', scope: 'ops:write', id };
+    return null;
+};
+
+/**
+ * Depth and oldest entry of the Redis queues (inbound, DLQ, scheduled), sampled now
+ */
+exports.process_queue_stats_request = function(res) {
+    const plugin = this;
+
+    plugin.queue_sampler.sample()
+        .then((snapshot) => plugin.send_response(res, 200, { success: true, ...snapshot }))
+        .catch(() => plugin.send_error(res, 'store_unavailable', 'Could not read the Redis queues'));
+};
+
+exports.handle_queue_admin_request = function(req, res, request_path) {
+    const plugin = this;
+    const route = plugin.resolve_queue_admin_route(req.method, request_path);
+
+    if (!route) {
+        return plugin.send_error(res, 'not_found');
+    }
+    if (!plugin.is_ops_request_allowed(req, request_path, route.scope)) {
+        return plugin.send_error(res, 'forbidden');
+    }
+
+    const handler = route.action === 'list'
+        ? plugin.process_queue_list_request(req, res)
+        : plugin.process_queue_item_request(req, res, route);
+
+    handler.catch((err) => {
+        plugin.logerror(`Outbound queue ${route.action} failed: ${err.message}`);
+        return plugin.send_error(res, 'internal_error', 'Failed to read the outbound queue');
     });
 };
 
-exports.check_rate_limit = function(ip) {
+exports.process_queue_list_request = async function(req, res) {
     const plugin = this;
-    const now = Date.now();
-    const window_ms = plugin.cfg.rate_limit_window_ms;
-    const max_requests = plugin.cfg.rate_limit_max_requests;
-    
-    // Clean expired entries
-    for (const [stored_ip, timestamps] of plugin.rate_limit_storage.entries()) {
-        const valid = timestamps.filter(time => now - time < window_ms);
-        if (valid.length === 0) {
-            plugin.rate_limit_storage.delete(stored_ip);
+    const query = plugin.get_query_params(req);
+
+    const state = query.get('state') || null;
+    if (state && !['queued', 'deferred'].includes(state)) {
+        return plugin.send_response(res, 400, plugin.validation_error_body([
+            { code: 'invalid_value', field: 'state', message: 'state must be queued or deferred' }
+        ]));
+    }
+
+    const limit = query.has('limit') ? Number(query.get('limit')) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return plugin.send_response(res, 400, plugin.validation_error_body([
+            { code: 'invalid_value', field: 'limit', message: 'limit must be an integer from 1 to 1000' }
+        ]));
+    }
+
+    const result = await outbound_queue.list_items(plugin.get_outbound_queue_dir(), {
+        state,
+        limit,
+        domain: query.get('domain') || null
+    });
+
+    return plugin.send_response(res, 200, {
+        success: true,
+        total: result.total,
+        items: result.items.map((item) => plugin.with_queue_error(item))
+    });
+};
+
+exports.with_queue_error = function(item) {
+    const last_error = item.queue_id ? this.queue_errors.get(item.queue_id) : null;
+    return { ...item, last_error: last_error ? last_error.error : null, last_error_at: last_error ? last_error.at : null };
+};
+
+exports.process_queue_item_request = async function(req, res, route) {
+    const plugin = this;
+    const queue_dir = plugin.get_outbound_queue_dir();
+    const item = await outbound_queue.get_item(queue_dir, route.id);
+
+    if (!item) {
+        return plugin.send_error(res, 'not_found', `Queue item not found: ${route.id}`);
+    }
+    if (route.action === 'get') {
+        return plugin.send_response(res, 200, { success: true, ...plugin.with_queue_error(item) });
+    }
+
+    // Only an item waiting out its retry delay in this process is safe to touch;
+    // anything else is mid-delivery or owned by another Haraka worker.
+    const outbound = require('./outbound');
+    try {
+        outbound.temp_fail_queue.discard(route.id);
+    } catch (err) {
+        return plugin.send_error(res, 'queue_item_busy');
+    }
+
+    const file_path = path.join(queue_dir, route.id);
+    if (route.action === 'drop') {
+        await fs.promises.unlink(file_path);
+    } else {
+        const HMailItem = require('./outbound/hmail');
+        const hmail = new HMailItem(route.id, file_path);
+        if (route.action === 'retry') {
+            outbound.delivery_queue.push(hmail);
         } else {
-            plugin.rate_limit_storage.set(stored_ip, valid);
+            await new Promise((resolve, reject) => {
+                hmail.once('ready', resolve);
+                hmail.once('error', reject);
+            });
+            hmail.bounce('Message bounced by the postmaster');
         }
     }
-    
-    // Check current IP
-    const timestamps = plugin.rate_limit_storage.get(ip) || [];
-    const valid_timestamps = timestamps.filter(time => now - time < window_ms);
-    
-    if (valid_timestamps.length >= max_requests) {
-        plugin.logwarn(`Rate limit exceeded for IP: ${ip}`);
-        return false;
+
+    plugin.stats.queue_actions += 1;
+    plugin.queue_errors.delete(item.queue_id);
+    plugin.logger.info('outbound_queue_action', {
+        action: route.action,
+        queue_item: route.id,
+        queue_id: item.queue_id,
+        message_id: item.message_id,
+        client_ip: plugin.get_client_ip(req)
+    });
+
+    return plugin.send_response(res, 200, { success: true, id: route.id, action: route.action });
+};
+
+/**
+ * Response body for a thrown error
+ * @param {Error} err - Error, ideally created with api_errors.create(); others become internal_error
+ * @returns {Object} Error response body
+ */
+exports.error_body = function(err) {
+    return api_errors.body(api_errors.code_of(err), err.message, err.details);
+};
+
+exports.error_status = function(err) {
+    return api_errors.status_of(api_errors.code_of(err));
+};
+
+/**
+ * Send a catalogue error response
+ * @param {http.ServerResponse} res - Response
+ * @param {string} code - Catalogue code, which also decides the status
+ * @param {string} [message] - Overrides the catalogue text
+ * @param {Object} [details] - Extra body fields
+ * @param {Object} [headers] - Extra response headers
+ */
+exports.send_error = function(res, code, message, details, headers) {
+    return this.send_response(res, api_errors.status_of(code), api_errors.body(code, message, details), headers);
+};
+
+exports.send_response = function(res, status, data, headers = {}) {
+    const plugin = this;
+    const request_id = res.getHeader('X-Request-Id');
+    let payload = data;
+
+    if (request_id && data && data.success === false) {
+        payload = { ...data, request_id };
+        plugin.logger[status >= 500 ? 'error' : 'warn']('http_error', {
+            request_id,
+            status,
+            code: data.code,
+            error: data.error
+        });
     }
-    
-    // Record this request
-    valid_timestamps.push(now);
-    plugin.rate_limit_storage.set(ip, valid_timestamps);
-    
-    return true;
+
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
 };
 
-exports.send_response = function(res, status, data) {
-    res.writeHead(status, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(data));
+/**
+ * Request ID for a request: the caller's X-Request-Id when it is sane, else a new UUID
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} Request ID
+ */
+exports.get_request_id = function(req) {
+    const supplied = this.get_header_value(req, 'x-request-id');
+    return /^[A-Za-z0-9._:-]{1,128}$/.test(supplied) ? supplied : crypto.randomUUID();
 };
 
-exports.send_metrics = function(res) {
+/**
+ * Declare this plugin's metrics in the shared registry
+ *
+ * The request counters stay in plugin.stats and are read at scrape time.
+ */
+exports.register_metrics = function() {
     const plugin = this;
-    const uptime_seconds = Math.floor((Date.now() - Date.parse(plugin.stats.started_at)) / 1000);
-
-    const lines = [
-        '# HELP elektrine_http_api_requests_total Total HTTP requests handled',
-        '# TYPE elektrine_http_api_requests_total counter',
-        `elektrine_http_api_requests_total ${plugin.stats.requests_total}`,
-        '# HELP elektrine_http_api_auth_failures_total Authentication failures',
-        '# TYPE elektrine_http_api_auth_failures_total counter',
-        `elektrine_http_api_auth_failures_total ${plugin.stats.auth_failures}`,
-        '# HELP elektrine_http_api_rate_limited_total Requests rejected by rate limit',
-        '# TYPE elektrine_http_api_rate_limited_total counter',
-        `elektrine_http_api_rate_limited_total ${plugin.stats.rate_limited}`,
-        '# HELP elektrine_http_api_sent_ok_total Successful send requests',
-        '# TYPE elektrine_http_api_sent_ok_total counter',
-        `elektrine_http_api_sent_ok_total ${plugin.stats.sent_ok}`,
-        '# HELP elektrine_http_api_sent_error_total Failed send requests',
-        '# TYPE elektrine_http_api_sent_error_total counter',
-        `elektrine_http_api_sent_error_total ${plugin.stats.sent_error}`,
-        '# HELP elektrine_http_api_dkim_sync_ok_total Successful DKIM sync requests',
-        '# TYPE elektrine_http_api_dkim_sync_ok_total counter',
-        `elektrine_http_api_dkim_sync_ok_total ${plugin.stats.dkim_sync_ok}`,
-        '# HELP elektrine_http_api_dkim_sync_error_total Failed DKIM sync requests',
-        '# TYPE elektrine_http_api_dkim_sync_error_total counter',
-        `elektrine_http_api_dkim_sync_error_total ${plugin.stats.dkim_sync_error}`,
-        '# HELP elektrine_http_api_dkim_delete_ok_total Successful DKIM delete requests',
-        '# TYPE elektrine_http_api_dkim_delete_ok_total counter',
-        `elektrine_http_api_dkim_delete_ok_total ${plugin.stats.dkim_delete_ok}`,
-        '# HELP elektrine_http_api_dkim_delete_error_total Failed DKIM delete requests',
-        '# TYPE elektrine_http_api_dkim_delete_error_total counter',
-        `elektrine_http_api_dkim_delete_error_total ${plugin.stats.dkim_delete_error}`,
-        '# HELP elektrine_http_api_uptime_seconds Process uptime in seconds',
-        '# TYPE elektrine_http_api_uptime_seconds gauge',
-        `elektrine_http_api_uptime_seconds ${uptime_seconds}`
-    ];
-
-    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
-    res.end(`${lines.join('\n')}\n`);
+
+    for (const [stat, [name, help]] of Object.entries(STAT_METRICS)) {
+        metrics.registry.counter(name, help, { collect: () => plugin.stats[stat] });
+    }
+
+    metrics.registry.counter('elektrine_http_api_key_requests_total', 'Authenticated API requests by key and route', {
+        collect: () => Object.entries(plugin.stats.key_requests).map(([usage_key, count]) => {
+            const [key_name, route_kind] = usage_key.split('|');
+            return { labels: { key: key_name, route: route_kind }, value: count };
+        })
+    });
+
+    metrics.registry.gauge('elektrine_http_api_uptime_seconds', 'Process uptime in seconds', {
+        collect: () => Math.floor((Date.now() - Date.parse(plugin.stats.started_at)) / 1000)
+    });
+};
+
+exports.send_metrics = function(res) {
+    res.writeHead(200, { 'Content-Type': metrics.CONTENT_TYPE });
+    res.end(metrics.registry.render());
 };
@@ -11,6 +11,14 @@ const constants = require('haraka-constants');
 
 // Shared library modules
 const { config, http: httpClient, domains } = require('../lib');
+const metrics = require('../lib/metrics');
+const telemetry = require('../lib/telemetry');
+
+const verify_duration = metrics.registry.histogram(
+    'elektrine_rcpt_verify_duration_seconds',
+    'Phoenix recipient verification latency, by result (exists, missing, error)',
+    { labels: ['result'] }
+);
 
 exports.register = function() {
     const plugin = this;
@@ -18,6 +26,13 @@ exports.register = function() {
     // Load configuration
     plugin.cfg = config.load();
     
+    // Roles without the HTTP API expose the shared registry on their own port
+    metrics.serve({
+        port: plugin.cfg.metrics_port,
+        host: plugin.cfg.metrics_host,
+        logger: telemetry.create_plugin_logger(plugin, 'rcpt_verify')
+    });
+    
     // Log initial domains (may be updated dynamically from Phoenix)
     const local_domains = domains.get_local_domains();
     plugin.loginfo(`Recipient verification enabled for: ${local_domains.join(', ')}`);
@@ -62,12 +77,14 @@ exports.hook_rcpt = function(next, connection, params) {
     plugin.loginfo(`Verifying recipient exists: ${recipient_email}`);
     
     // Verify with Phoenix app
+    const end_timer = verify_duration.start_timer();
     httpClient.verify_recipient(plugin.cfg.verify_url, recipient_email, {
         api_key: plugin.cfg.phoenix_api_key,
         timeout: plugin.cfg.verify_timeout,
         logger: (msg) => plugin.logdebug(msg)
     })
     .then((exists) => {
+        end_timer({ result: exists ? 'exists' : 'missing' });
         if (exists) {
             plugin.loginfo(`Recipient verified: ${recipient_email}`);
             return next(constants.OK);
@@ -77,6 +94,7 @@ exports.hook_rcpt = function(next, connection, params) {
         }
     })
     .catch((err) => {
+        end_timer({ result: 'error' });
         plugin.logerror(`Recipient verification failed: ${err.message}`);
         // On error, defer (temp fail) so the sending server retries later
         // This avoids accepting mail for potentially non-existent recipients
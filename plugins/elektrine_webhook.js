@@ -21,6 +21,14 @@ const {
     bounce: bounceDetector,
     text
 } = require('../lib');
+const metrics = require('../lib/metrics');
+const telemetry = require('../lib/telemetry');
+
+const webhook_duration = metrics.registry.histogram(
+    'elektrine_webhook_duration_seconds',
+    'Latency of each Phoenix inbound webhook attempt, by outcome (ok, error)',
+    { labels: ['outcome'] }
+);
 
 // Retry configuration
 const MAX_RETRIES = 2;
@@ -31,6 +39,11 @@ exports.register = function() {
 
     // Load configuration from .ini file with environment variable overrides
     plugin.load_config();
+    metrics.serve({
+        port: plugin.cfg.metrics_port,
+        host: plugin.cfg.metrics_host,
+        logger: telemetry.create_plugin_logger(plugin, 'webhook')
+    });
 
     // Validate critical config at startup
     if (!plugin.cfg.phoenix_api_key) {
@@ -230,6 +243,7 @@ exports.send_webhook_payloads = function(payloads, index, next) {
 
 exports.send_webhook_with_retry = function(email_data, attempt, next) {
     const plugin = this;
+    const end_timer = webhook_duration.start_timer();
 
     httpClient.send_webhook(plugin.cfg.webhook_url, email_data, {
         api_key: plugin.cfg.phoenix_api_key,
@@ -237,10 +251,12 @@ exports.send_webhook_with_retry = function(email_data, attempt, next) {
         logger: (msg) => plugin.loginfo(msg)
     })
     .then((result) => {
+        end_timer({ outcome: 'ok' });
         plugin.loginfo(`Email sent to Elektrine successfully: ${result.message_id || email_data.message_id}`);
         return next(constants.ok, 'Message accepted');
     })
     .catch((err) => {
+        end_timer({ outcome: 'error' });
         plugin.logerror(`Webhook failed (attempt ${attempt + 1}/${MAX_RETRIES + 1}): ${err.message}`);
 
         // Don't retry client errors (4xx) - they won't succeed on retry
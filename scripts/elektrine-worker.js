@@ -21,20 +21,31 @@ const {
 } = require('../lib');
 const queue = require('../lib/queue-client');
 const telemetry = require('../lib/telemetry');
+const metrics = require('../lib/metrics');
+const queue_stats = require('../lib/queue-stats');
+const tracing = require('../lib/tracing');
 
 const cfg = config.load();
 const logger = telemetry.create_console_logger('worker');
 const queue_client = new queue.QueueClient(cfg, logger);
+// BRPOP holds its connection for up to pop_timeout_sec, so sampling gets its own
+const sampler_client = new queue.QueueClient(cfg, logger);
+const queue_sampler = queue_stats.create_sampler(sampler_client, cfg, logger);
 
 let shutting_down = false;
 const counters = {
-    consumed: 0,
-    delivered: 0,
-    skipped_bounce: 0,
-    retried: 0,
-    failed: 0,
-    dlq: 0
+    consumed: metrics.registry.counter('elektrine_worker_consumed_total', 'Queue entries popped from Redis'),
+    delivered: metrics.registry.counter('elektrine_worker_delivered_total', 'Webhook payloads accepted by Phoenix'),
+    skipped_bounce: metrics.registry.counter('elektrine_worker_skipped_bounce_total', 'Queued messages dropped as bounces'),
+    retried: metrics.registry.counter('elektrine_worker_retried_total', 'Webhook attempts retried after a failure'),
+    failed: metrics.registry.counter('elektrine_worker_failed_total', 'Queued messages that could not be delivered'),
+    dlq: metrics.registry.counter('elektrine_worker_dlq_total', 'Failed messages written to the dead letter queue')
 };
+const webhook_duration = metrics.registry.histogram(
+    'elektrine_webhook_duration_seconds',
+    'Latency of each Phoenix inbound webhook attempt, by outcome (ok, error)',
+    { labels: ['outcome'] }
+);
 
 function as_header_object(headers) {
     if (!(headers instanceof Map)) {
@@ -135,9 +146,20 @@ function build_webhook_data(envelope, parsed, recipient = null) {
     };
 }
 
-async function send_webhook_with_retry(payload) {
+async function send_webhook_with_retry(payload, parent_span) {
     let attempt = 0;
     while (attempt <= cfg.webhook_max_retries) {
+        const end_timer = webhook_duration.start_timer();
+        const span = tracing.start_span('phoenix.webhook', {
+            parent: parent_span,
+            kind: 'client',
+            attributes: {
+                'http.request.method': 'POST',
+                'url.full': cfg.webhook_url,
+                'elektrine.attempt': attempt + 1,
+                'elektrine.rcpt_to': payload.rcpt_to
+            }
+        });
         try {
             await http.send_webhook(cfg.webhook_url, payload, {
                 api_key: cfg.phoenix_api_key,
@@ -146,11 +168,17 @@ async function send_webhook_with_retry(payload) {
                     'X-Message-Id': payload.message_id,
                     'X-Idempotency-Key': payload.message_id
                 },
+                traceparent: span.traceparent(),
                 logger: (message) => logger.debug('http_client', { message })
             });
 
+            end_timer({ outcome: 'ok' });
+            span.end();
             return;
         } catch (err) {
+            end_timer({ outcome: 'error' });
+            span.set_attributes({ 'http.response.status_code': err.status });
+            span.end(err);
             const status = err.status || null;
             const is_permanent_4xx = status >= 400 && status < 500 && status !== 429;
             const exhausted = attempt >= cfg.webhook_max_retries;
@@ -159,7 +187,7 @@ async function send_webhook_with_retry(payload) {
                 throw err;
             }
 
-            counters.retried += 1;
+            counters.retried.inc();
             const delay_ms = cfg.webhook_retry_base_delay_ms * Math.pow(2, attempt);
             logger.warn('webhook_retry', {
                 message_id: payload.message_id,
@@ -188,34 +216,68 @@ async function push_dlq(envelope, error) {
     };
 
     await queue_client.enqueue_dlq(cfg.queue_dlq_name, dlq_payload);
-    counters.dlq += 1;
+    counters.dlq.inc();
 }
 
 async function process_message(raw_element) {
-    counters.consumed += 1;
+    counters.consumed.inc();
 
     let envelope;
     try {
         envelope = JSON.parse(raw_element);
     } catch (err) {
-        counters.failed += 1;
+        counters.failed.inc();
         logger.error('invalid_queue_payload', { message: err.message });
         return;
     }
 
+    // Continues the trace started by the inbound queue hook, when it sent one
+    const enqueued_at = Date.parse(envelope.enqueued_at);
+    const span = tracing.start_span('inbound.process', {
+        parent: envelope.trace_context && envelope.trace_context.traceparent,
+        kind: 'consumer',
+        attributes: {
+            'messaging.system': 'redis',
+            'messaging.destination.name': cfg.queue_name,
+            'messaging.message.id': envelope.message_id,
+            'elektrine.queue_wait_ms': Number.isFinite(enqueued_at) ? Date.now() - enqueued_at : undefined
+        }
+    });
+
+    try {
+        await process_envelope(envelope, span);
+        span.end();
+    } catch (err) {
+        span.end(err);
+    }
+}
+
+async function process_envelope(envelope, span) {
     try {
         const raw_buffer = Buffer.from(envelope.raw_rfc822_base64 || '', 'base64');
-        const parsed = await mime.parse_mime(raw_buffer, {
-            logger: (level, message) => {
-                if (level === 'warn') logger.warn('mime_parse_fallback', { message });
-            }
+        const parse_span = tracing.start_span('inbound.parse', {
+            parent: span,
+            attributes: { 'messaging.message.body.size': raw_buffer.length }
         });
+        let parsed;
+        try {
+            parsed = await mime.parse_mime(raw_buffer, {
+                logger: (level, message) => {
+                    if (level === 'warn') logger.warn('mime_parse_fallback', { message });
+                }
+            });
+            parse_span.end();
+        } catch (err) {
+            parse_span.end(err);
+            throw err;
+        }
         const local_recipients = get_local_recipients(envelope.rcpt_to);
         const target_recipients = local_recipients.length > 0 ? local_recipients : [null];
         const sample_payload = build_webhook_data(envelope, parsed, target_recipients[0]);
 
         if (sample_payload.is_bounce) {
-            counters.skipped_bounce += 1;
+            counters.skipped_bounce.inc();
+            span.set_attributes({ 'elektrine.skipped_bounce': true });
             logger.info('skip_bounce', {
                 message_id: sample_payload.message_id,
                 subject: sample_payload.subject
@@ -226,20 +288,22 @@ async function process_message(raw_element) {
         for (const recipient of target_recipients) {
             const webhook_payload = build_webhook_data(envelope, parsed, recipient);
 
-            await send_webhook_with_retry(webhook_payload);
-            counters.delivered += 1;
+            await send_webhook_with_retry(webhook_payload, span);
+            counters.delivered.inc();
             logger.info('webhook_delivered', {
                 message_id: webhook_payload.message_id,
                 rcpt_to: webhook_payload.rcpt_to,
-                attachment_count: webhook_payload.attachment_count
+                attachment_count: webhook_payload.attachment_count,
+                trace_id: span.context ? span.context.trace_id : undefined
             });
         }
     } catch (err) {
-        counters.failed += 1;
+        counters.failed.inc();
         logger.error('process_failed', {
             message_id: envelope.message_id,
             status: err.status || null,
-            message: err.message
+            message: err.message,
+            trace_id: span.context ? span.context.trace_id : undefined
         });
 
         try {
@@ -250,6 +314,7 @@ async function process_message(raw_element) {
                 message: dlq_err.message
             });
         }
+        throw err;
     }
 }
 
@@ -270,10 +335,19 @@ async function run() {
         max_retries: cfg.webhook_max_retries
     });
 
+    metrics.serve({ port: cfg.worker_metrics_port, host: cfg.worker_metrics_host, logger });
+    tracing.init(cfg, { service_name: 'elektrine-worker', logger });
+
     setInterval(() => {
-        logger.info('worker_stats', { ...counters });
+        const stats = {};
+        Object.entries(counters).forEach(([name, counter]) => {
+            stats[name] = counter.get();
+        });
+        logger.info('worker_stats', stats);
     }, 60000);
 
+    queue_sampler.start();
+
     while (!shutting_down) {
         try {
             const raw_element = await queue_client.pop(cfg.queue_name, cfg.queue_pop_timeout_sec);
@@ -285,7 +359,10 @@ async function run() {
         }
     }
 
+    queue_sampler.stop();
+    await tracing.shutdown();
     await queue_client.close();
+    await sampler_client.close();
     logger.info('worker_stop');
 }
 